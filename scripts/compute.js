@@ -3,6 +3,7 @@
 import * as consts from './consts.js';
 import * as drawing from './drawing.js';
 import { edge_equal } from './graph_components.js';
+import { Queue } from './util.js';
 
 /** given a graph and its input, compute the input alphabet */
 export function compute_alphabet(graph, input) {
@@ -88,6 +89,240 @@ export function NFA_step(graph, cur_states, symbol) {
   return closure(graph, new_states);
 }
 
+/**
+ * compute the closure of the start state
+ * @param {Object} graph - the NFA of interest
+ * @returns {Set<string>} the states the machine is in before reading any input, empty if there is no start
+ */
+export function start_closure(graph) {
+  const start = find_start(graph);
+  return (start === null) ? new Set() : closure(graph, new Set([start]));
+}
+
+/**
+ * search the product of the two determinized machines for the shortest string they disagree on
+ * the subset construction is done on the fly so only the reachable pairs of subsets are ever built
+ * @param {Object} graph1 - the first NFA
+ * @param {Object} graph2 - the second NFA
+ * @returns {string|null} the shortest (then alphabetically first) counterexample, null iff equivalent
+ */
+export function find_counterexample(graph1, graph2) {
+  const alphabet = [...new Set([...compute_alphabet(graph1), ...compute_alphabet(graph2)])].sort();
+  const pair_key = (states1, states2) => JSON.stringify([[...states1].sort(), [...states2].sort()]);
+  const start1 = start_closure(graph1), start2 = start_closure(graph2);
+  const visited = new Set([pair_key(start1, start2)]);
+  const q = new Queue();  // BFS over [states of graph1, states of graph2, string leading here]
+  q.enqueue([start1, start2, '']);
+  while (q.length) {
+    const [states1, states2, str] = q.dequeue();
+    if (contains_final(graph1, states1) !== contains_final(graph2, states2)) {
+      return str;
+    }
+    for (const letter of alphabet) {
+      const next1 = NFA_step(graph1, states1, letter), next2 = NFA_step(graph2, states2, letter);
+      const key = pair_key(next1, next2);
+      if (!visited.has(key)) {
+        visited.add(key);
+        q.enqueue([next1, next2, str + letter]);
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * search the product of two deterministic Mealy or Moore machines for the shortest input they output differently on
+ * a machine without a transition for the next symbol gets stuck, and differs from any machine that does not
+ * @param {Object} graph1 - the first machine
+ * @param {Object} graph2 - the second machine
+ * @param {string} machine_type - Mealy or Moore, both machines must be of this type
+ * @returns {Object|null} {input, output1, output2} for the shortest (then alphabetically first) such input, where an
+ * output is null if its machine got stuck, null iff equivalent
+ */
+export function find_output_counterexample(graph1, graph2, machine_type) {
+  const alphabet = [...new Set([...compute_alphabet(graph1), ...compute_alphabet(graph2)])].sort();
+  const step = (graph, v, letter) => {  // the next state and what it outputs, both null once stuck
+    if (v === null) {
+      return [null, null];
+    }
+    if (machine_type === consts.MACHINE_TYPES.Mealy) {
+      const { next_state, output } = mealy_step(graph, v, letter);
+      return next_state === undefined ? [null, null] : [next_state, output];
+    }
+    const next_state = moore_step(graph, v, letter);
+    return next_state === undefined ? [null, null] : [next_state, graph[next_state].moore_output];
+  };
+  const start_output = (graph, v) => {  // an empty machine is stuck from the start
+    if (v === null) {
+      return null;
+    }
+    return (machine_type === consts.MACHINE_TYPES.Moore) ? graph[v].moore_output : '';
+  };
+
+  const start1 = find_start(graph1), start2 = find_start(graph2);
+  const output1 = start_output(graph1, start1), output2 = start_output(graph2, start2);
+  if (output1 !== output2) {
+    return { input: '', output1, output2 };
+  }
+  const visited = new Set([JSON.stringify([start1, start2])]);
+  const q = new Queue();  // BFS over [state of graph1, state of graph2, input leading here, output so far]
+  q.enqueue([start1, start2, '', output1]);
+  while (q.length) {
+    const [v1, v2, input, output] = q.dequeue();
+    for (const letter of alphabet) {
+      const [next1, emitted1] = step(graph1, v1, letter), [next2, emitted2] = step(graph2, v2, letter);
+      if (emitted1 !== emitted2) {  // the outputs so far agree, so this is where they part
+        return {
+          input: input + letter,
+          output1: emitted1 === null ? null : output + emitted1,
+          output2: emitted2 === null ? null : output + emitted2
+        };
+      }
+      const key = JSON.stringify([next1, next2]);
+      if (next1 !== null && !visited.has(key)) {  // both stuck means they agree from here on
+        visited.add(key);
+        q.enqueue([next1, next2, input + letter, output + emitted1]);
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * BFS over the states of the graph following any edge, remembering the edge each state was first reached by
+ * @param {Object} graph - the graph to search
+ * @param {string} source - the vertex to start from
+ * @param {Set<string>} allowed - the vertices the search may visit, every vertex if omitted
+ * @returns {Map<string, Object>} maps every reached vertex to the edge it was reached by, null for the source
+ */
+function BFS_tree(graph, source, allowed) {
+  const parent = new Map([[source, null]]);
+  for (const v of parent.keys()) {  // maps are iterated in insertion order, so is BFS by default
+    for (const edge of graph[v].out) {
+      if (!parent.has(edge.to) && (!allowed || allowed.has(edge.to))) {
+        parent.set(edge.to, edge);
+      }
+    }
+  }
+  return parent;
+}
+
+/**
+ * walks up the BFS tree to recover the path from its source
+ * @param {Map<string, Object>} parent - a tree made by BFS_tree
+ * @param {string} v - a vertex in the tree
+ * @returns {Array<Object>} the edges from the source to v
+ */
+function tree_path(parent, v) {
+  const path = [];
+  for (let edge = parent.get(v); edge; edge = parent.get(edge.from)) {
+    path.push(edge);
+  }
+  return path.reverse();
+}
+
+/**
+ * @param {Array<Object>} path - a list of edges
+ * @returns {string} the input read along the path
+ */
+function path_input(path) {
+  return path.map(edge => edge.transition).filter(transition => transition !== consts.EMPTY_SYMBOL).join('');
+}
+
+/**
+ * find an accepting path with the fewest edges, witnessing the language is not empty
+ * @param {Object} graph - the NFA of interest
+ * @returns {Object | null} { input, states } of the path, null iff the language is empty
+ */
+export function find_accepted_path(graph) {
+  const start = find_start(graph);
+  if (start === null) {
+    return null;
+  }
+  const parent = BFS_tree(graph, start);
+  const final = [...parent.keys()].find(v => graph[v].is_final);
+  if (final === undefined) {
+    return null;
+  }
+  const path = tree_path(parent, final);
+  return { input: path_input(path), states: [start, ...path.map(edge => edge.to)] };
+}
+
+/**
+ * find a cycle reading at least one symbol on some accepting path, witnessing the language is infinite
+ * the witness x, y, z is such that x y^n z is accepted for every n
+ * @param {Object} graph - the NFA of interest
+ * @returns {Object | null} { prefix, cycle, suffix, states } with states the cycle itself, null iff finite
+ */
+export function find_pumping_cycle(graph) {
+  const start = find_start(graph);
+  if (start === null) {
+    return null;
+  }
+  const from_start = BFS_tree(graph, start);
+  const to_final = new Set(Object.keys(graph).filter(v => graph[v].is_final));  // states that can reach a final
+  for (let grown = true; grown;) {
+    grown = false;
+    for (const [v, vertex] of Object.entries(graph)) {
+      if (!to_final.has(v) && vertex.out.some(edge => to_final.has(edge.to))) {
+        to_final.add(v);
+        grown = true;
+      }
+    }
+  }
+  const useful = new Set([...from_start.keys()].filter(v => to_final.has(v)));
+
+  for (const u of useful) {
+    for (const edge of graph[u].out) {
+      if (edge.transition === consts.EMPTY_SYMBOL || !useful.has(edge.to)) {
+        continue;
+      }
+      const back_to_u = BFS_tree(graph, edge.to, useful);
+      if (!back_to_u.has(u)) {  // edge is not on a cycle
+        continue;
+      }
+      const cycle = [edge, ...tree_path(back_to_u, u)];
+      const from_u = BFS_tree(graph, u, useful);
+      const final = [...from_u.keys()].find(v => graph[v].is_final);
+      return {
+        prefix: path_input(tree_path(from_start, u)),
+        cycle: path_input(cycle),
+        suffix: path_input(tree_path(from_u, final)),
+        states: [u, ...cycle.map(e => e.to)]
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * find the shortest string over the machine's alphabet that is rejected, witnessing the language is not universal
+ * @param {Object} graph - the NFA of interest
+ * @returns {string | null} the rejected string, null iff the machine accepts everything over its alphabet
+ */
+export function find_rejected(graph) {
+  const alphabet = [...compute_alphabet(graph)].sort();
+  const start_states = start_closure(graph);
+  const visited = new Set([JSON.stringify([...start_states].sort())]);
+  const q = new Queue();  // BFS over [states of the determinized machine, string leading here]
+  q.enqueue([start_states, '']);
+  while (q.length) {
+    const [states, str] = q.dequeue();
+    if (!contains_final(graph, states)) {
+      return str;
+    }
+    for (const letter of alphabet) {
+      const next = NFA_step(graph, states, letter);
+      const key = JSON.stringify([...next].sort());
+      if (!visited.has(key)) {
+        visited.add(key);
+        q.enqueue([next, str + letter]);
+      }
+    }
+  }
+  return null;
+}
+
 /**
  * a single step of the NFA running algorithm
  * @param {Object} graph - the Mealy machine of interest
@@ -153,6 +388,24 @@ function* run_input_NFA(graph, input, interactive=false) {
   return contains_final(graph, cur_states);
 }
 
+/**
+ * apply the stack operation of a PDA edge; pop and push strings are read with their leftmost symbol on top
+ * @param {Array<string>} stack - the stack with its top at the end, left untouched
+ * @param {string} pop_symbol - the symbols to pop, ε for none
+ * @param {string} push_symbol - the symbols to push, ε for none
+ * @returns {Array<string>|null} the new stack, null if the top of the stack does not match pop_symbol
+ */
+function PDA_stack_op(stack, pop_symbol, push_symbol) {
+  const stack_copy = [...stack];
+  for (const symbol of pop_symbol.replaceAll(consts.EMPTY_SYMBOL, '')) {
+    if (stack_copy.pop() !== symbol) {  // stack mismatch
+      return null;
+    }
+  }
+  stack_copy.push(...[...push_symbol.replaceAll(consts.EMPTY_SYMBOL, '')].reverse());
+  return stack_copy;
+}
+
 /**
  * Compute the (almost) closure of PDA states stored inside the queue q and add them to the queue
  * Note that we only evaluate all the epsilon transitions once to speed up computation
@@ -165,16 +418,13 @@ function PDA_closure(graph, cur_configs) {
   for (const [v, stack, remaining_input] of cur_configs.values()) {
     for (const edge of graph[v].out) {
       const {transition, to, pop_symbol, push_symbol} = edge;
-      const stack_copy = [...stack], input_copy = [...remaining_input];  // deep clone the input and stack
       if (transition !== consts.EMPTY_SYMBOL) {  // not spontaneous transition
         continue;
       }
-      if (pop_symbol !== consts.EMPTY_SYMBOL && pop_symbol !== stack_copy.pop()) {  // stack mismatch
+      const stack_copy = PDA_stack_op(stack, pop_symbol, push_symbol), input_copy = [...remaining_input];
+      if (!stack_copy) {  // stack mismatch
         continue;
       }
-      if (push_symbol !== consts.EMPTY_SYMBOL) {  // add to the stack
-        stack_copy.push(push_symbol);
-      }
       cur_configs.set(JSON.stringify([to, stack_copy, input_copy]), [to, stack_copy, input_copy]);
     }
     --original_len;
@@ -198,66 +448,127 @@ function config_to_vertices(cur_configs) {
   return cur_vertices;
 }
 
+/**
+ * decide whether a PDA configuration accepts
+ * @param {Object} graph - machine graph
+ * @param {Array} config - a configuration [vertex_name, stack, remaining_input]
+ * @param {string} acceptance - one of consts.PDA_ACCEPTANCE
+ * @returns {boolean} true iff the input is exhausted and the state and/or stack are as the acceptance mode requires
+ */
+function PDA_accepting(graph, [v, stack, remaining_input], acceptance) {
+  if (remaining_input.length) {
+    return false;
+  } else if (acceptance === consts.PDA_ACCEPTANCE.empty_stack) {
+    return !stack.length;
+  } else if (acceptance === consts.PDA_ACCEPTANCE.both) {
+    return !stack.length && graph[v].is_final;
+  }
+  return graph[v].is_final;
+}
+
+/**
+ * what a run evaluates to when it reaches its step limit undecided, keeping where it got to
+ * @param {int} steps - how many steps the run took
+ * @param {Array<string>} configs - the configurations the run was left in, described for the user
+ * @returns {Object} { gave_up, steps, configs, more } where configs is cut down to consts.TRACE_MAX_CONFIGS and more
+ *                   counts the ones left out
+ */
+function gave_up_result(steps, configs) {
+  return {
+    gave_up: true, steps, configs: configs.slice(0, consts.TRACE_MAX_CONFIGS),
+    more: Math.max(0, configs.length-consts.TRACE_MAX_CONFIGS)
+  };
+}
+
+/**
+ * @param {*} output - what a computation evaluated to
+ * @returns {boolean} true iff the computation reached its step limit undecided, see gave_up_result
+ */
+export function gave_up(output) {
+  return output?.gave_up === true;
+}
+
+/**
+ * describe a PDA configuration for the user
+ * @param {Array} config - a configuration [vertex_name, stack, remaining_input]
+ * @returns {string} the state, the stack read from its top and the input left
+ */
+function PDA_config_text([v, stack, remaining_input]) {
+  const text = symbols => symbols.toReversed().join('') || consts.EMPTY_SYMBOL;
+  return `${v}, stack ${text(stack)}, input ${text(remaining_input)}`;
+}
+
 /**
  * step through the the computation of PDA with BFS
  * @param {Object} graph - machine graph
  * @param {string} v - starting vertex
  * @param {Array<string>} remaining_input - input string split into char array
- * @param {int} allowed_depth - the computation will halt and return false if the BFS tree is deeper than this
- * @returns {Iterable} a generator that evaluates to true iff the input is accepted by the machine
+ * @param {int} allowed_depth - the computation gives up if the BFS tree is deeper than this
+ * @param {Object} settings - the acceptance mode and initial stack symbol, see consts.DEFAULT_SETTINGS
+ * @returns {Iterable} a generator that evaluates to true iff the input is accepted by the machine,
+ *                     or a gave_up_result if some branch could still move at the depth limit
  */
-function* BFS_step(graph, v, remaining_input, interactive=false, allowed_depth=64) {
-  let stack = [];  // the computational stack
-  let cur_configs = new Map(), nxt_configs = new Map();  // the current configurations [vertex, stack, remaining_input]
+function* BFS_step(graph, v, remaining_input, interactive=false, allowed_depth=consts.PDA_ALLOWED_DEPTH,
+  settings=consts.DEFAULT_SETTINGS) {
+  // the computational stack, starting with the initial stack pushed the way an edge would push it
+  const stack = PDA_stack_op([], consts.EMPTY_SYMBOL, settings.initial_stack);
+  let cur_configs = new Map();  // the current configurations [vertex, stack, remaining_input]
   cur_configs.set(JSON.stringify([v, stack, remaining_input]), [v, stack, remaining_input]);
   PDA_closure(graph, cur_configs);
-  if (interactive) {
-    drawing.highlight_states(graph, config_to_vertices(cur_configs));
-    drawing.viz_PDA_configs(graph, cur_configs);
-    yield;
-  }
-  
-  while (cur_configs.size && allowed_depth --> 0) {
-    // process all configurations on a single depth of the BFS tree
-    for (const [v, stack, remaining_input] of cur_configs.values()) {
+  const accepting = configs => [...configs.values()].some(config => PDA_accepting(graph, config, settings.acceptance));
+  // all configurations on the next depth of the BFS tree
+  const expand = configs => {
+    const nxt_configs = new Map();
+    for (const [v, stack, remaining_input] of configs.values()) {
       for (const edge of graph[v].out) {
         const {transition, to, pop_symbol, push_symbol} = edge;
-        const stack_copy = [...stack], input_copy = [...remaining_input];  // deep clone the input and stack
+        const input_copy = [...remaining_input];  // deep clone the input
         if (transition !== consts.EMPTY_SYMBOL && transition !== input_copy.pop()) {
           continue;  // input mismatch
         }
-        if (pop_symbol !== consts.EMPTY_SYMBOL && pop_symbol !== stack_copy.pop()) {
+        const stack_copy = PDA_stack_op(stack, pop_symbol, push_symbol);
+        if (!stack_copy) {
           continue;  // stack mismatch
         }
         // now we can go since both transition and stack match
-        if (push_symbol !== consts.EMPTY_SYMBOL) {  // add to the stack
-          stack_copy.push(push_symbol);
-        }
-        if (graph[to].is_final && !input_copy.length) {  // final state + exhausted input
-          if (interactive) {
-            const cur_vertices = config_to_vertices(cur_configs);
-            cur_vertices.add(to);
-            drawing.highlight_states(graph, cur_vertices);
-          }
-          return true;
-        }
         nxt_configs.set(JSON.stringify([to, stack_copy, input_copy]), [to, stack_copy, input_copy]);
       }
     }
     PDA_closure(graph, nxt_configs);
+    return nxt_configs;
+  };
+  if (interactive) {
+    drawing.highlight_states(graph, config_to_vertices(cur_configs));
+    drawing.viz_PDA_configs(graph, cur_configs);
+    if (accepting(cur_configs)) {
+      return true;
+    }
+    yield;
+  }
+
+  let depth = 0;
+  while (cur_configs.size && !accepting(cur_configs) && depth < allowed_depth) {
+    const nxt_configs = expand(cur_configs);
+    ++depth;
     if (interactive) {
-      if (nxt_configs.size) {  // not the last step
-        drawing.highlight_states(graph, config_to_vertices(nxt_configs));
-        drawing.viz_PDA_configs(graph, nxt_configs);
-        yield;
-      } else {
+      if (!nxt_configs.size) {  // every branch is stuck
         return false;
       }
+      drawing.highlight_states(graph, config_to_vertices(nxt_configs));
+      drawing.viz_PDA_configs(graph, nxt_configs);
+      if (accepting(nxt_configs)) {
+        return true;
+      }
+      yield;
     }
     cur_configs = nxt_configs;
-    nxt_configs = new Map();  // swap the buffers
   }
-  return false;  // either stuck or exhausted step limit
+  if (accepting(cur_configs)) {
+    return true;
+  } else if (!cur_configs.size || !expand(cur_configs).size) {  // stuck, possibly right at the depth limit
+    return false;
+  }
+  return gave_up_result(depth, [...cur_configs.values()].map(PDA_config_text));
 }
 
 /**
@@ -265,63 +576,196 @@ function* BFS_step(graph, v, remaining_input, interactive=false, allowed_depth=6
  * @param {Object} graph - machine graph
  * @param {string} input - input string
  * @param {boolean} interactive - whether to show the computation step by step
- * @returns {Iterable} a generator that evaluates to true iff the input is accepted by the machine
+ * @param {Object} settings - the acceptance mode and initial stack symbol, see consts.DEFAULT_SETTINGS
+ * @returns {Iterable} a generator that evaluates to true iff the input is accepted by the machine, see BFS_step
  */
-function run_input_PDA(graph, input, interactive) {
+function run_input_PDA(graph, input, interactive, settings) {
   const v = find_start(graph);
   const remaining_input = input.split('').reverse();
-  return BFS_step(graph, v, remaining_input, interactive);
+  return BFS_step(graph, v, remaining_input, interactive, step_limit(consts.MACHINE_TYPES.PDA, settings), settings);
 }
 
 /**
- * check if the input is accepted
+ * Extract a list of vertices from a map of Turing machine configurations
+ * @param {Map<string, Array>} cur_configs - a map of whose values are [vertex_name, tapes, tape_idxs]
+ * @returns {Set<string>} a set of vertex names
+ */
+function TM_config_to_vertices(cur_configs) {
+  return new Set([...cur_configs.values()].map(([v]) => v));
+}
+
+/**
+ * count the tapes of a multi-tape Turing machine, each edge reads one symbol per tape
+ * @param {Object} graph - machine graph
+ * @returns {int} the number of tapes, at least one
+ */
+export function count_tapes(graph) {
+  let num_tapes = 1;
+  for (const vertex of Object.values(graph)) {
+    for (const edge of vertex.out) {
+      num_tapes = Math.max(num_tapes, edge.transition.length);
+    }
+  }
+  return num_tapes;
+}
+
+/**
+ * how far a tape head travels for a move symbol
+ * @param {string} move - one of L, R and S
+ * @returns {int} -1, 1 or 0
+ */
+function head_offset(move) {
+  if (move === consts.LEFT) {
+    return -1;
+  } else if (move === consts.STAY) {
+    return 0;
+  }
+  return 1;
+}
+
+/**
+ * run a Turing machine, exploring every nondeterministic branch breadth first
+ * a deterministic machine simply has a single branch the whole time
+ * the input is written on the first tape, and each edge reads, writes and moves one symbol per tape
  * @param {Object} graph - machine graph
  * @param {string} input - input string
- * @param {int} allowed_steps - the computation will halt and return false if the step limit is reached
- * @returns {Iterable} a generator that evaluates to true iff the input is accepted by the machine
+ * @param {boolean} interactive - whether to show the computation step by step
+ * @param {int} allowed_steps - the computation gives up if the step limit is reached
+ * @param {int} num_tapes - how many tapes the machine has, 1 for an ordinary Turing machine
+ * @returns {Iterable} a generator that evaluates to { accepted, halted, configs, steps }, where the computation also
+ *                     gives up once the branches have more than consts.TM_MAX_CONFIGS configurations
+ *                     where configs are the configurations the machine halted or gave up in
  */
-function* run_input_Turing(graph, input, interactive=false, allowed_steps=512) {
-  const tape = {};  // we use an object instead of array to have negative index
+function* TM_computation(graph, input, interactive, allowed_steps, num_tapes) {
+  const tapes = [...new Array(num_tapes)].map(() => ({}));  // we use objects instead of arrays to have negative index
   for (let i = 0; i < input.length; i++) {
-    tape[i] = input[i];  // copy all input over
+    tapes[0][i] = input[i];  // copy all input over
   }
-  let tape_idx = 0;  // starting tape index
-  let cur_state = find_start(graph);
+  const start = find_start(graph);
+  const tape_idxs = new Array(num_tapes).fill(0);
+  let cur_configs = new Map();  // the current configurations [vertex, tapes, tape_idxs]
+  cur_configs.set(JSON.stringify([start, tapes, tape_idxs]), [start, tapes, tape_idxs]);
+  const accepting = configs => [...configs.values()].some(([v]) => graph[v].is_final);
   if (interactive) {
-    drawing.highlight_states(graph, [cur_state]);
-    drawing.viz_TM_tape(tape, tape_idx);
+    drawing.highlight_states(graph, [start]);
+    drawing.viz_TM_configs(cur_configs);
     yield;
   }
 
-  let stuck = false;  // whether we are out of legal transitions
-  while (!stuck && !graph[cur_state].is_final && allowed_steps --> 0) {
-    stuck = true;  // assume we are stuck and change to not stuck in the loop
-    for (const edge of graph[cur_state].out) {
-      if (!tape[tape_idx]) {  // fill in empty if tape null/undefined
-        tape[tape_idx] = consts.EMPTY_TAPE;
+  let steps = 0, halted = true;
+  while (!accepting(cur_configs)) {
+    // advance every branch by one step
+    const nxt_configs = new Map();
+    let too_many = false;
+    for (const [v, tapes, tape_idxs] of cur_configs.values()) {
+      if (nxt_configs.size > consts.TM_MAX_CONFIGS) {  // the branches multiply too fast to follow
+        too_many = true;
+        break;
       }
-      if (edge.transition !== tape[tape_idx]) {  // cannot take this transition
-        continue;
+      // fill in empty if tape null/undefined
+      const symbols = tape_idxs.map((idx, t) => tapes[t][idx] ? tapes[t][idx] : consts.EMPTY_TAPE).join('');
+      for (const edge of graph[v].out) {
+        if (edge.transition !== symbols) {  // cannot take this transition
+          continue;
+        }
+        const tapes_copy = tapes.map((tape, t) => ({...tape, [tape_idxs[t]]: edge.push_symbol.charAt(t)}));  // write
+        const next_idxs = tape_idxs.map((idx, t) => idx + head_offset(edge.move.charAt(t)));  // move tape needles
+        nxt_configs.set(JSON.stringify([edge.to, tapes_copy, next_idxs]), [edge.to, tapes_copy, next_idxs]);
       }
-      cur_state = edge.to;  // go to next state
-      tape[tape_idx] = edge.push_symbol;  // write to tape
-      tape_idx += (edge.move === consts.LEFT) ? -1 : 1;  // move tape needle
-      stuck = false;  // we just moved, so not stuck
-      break;  // determinism, so can't multi-branch
     }
+    if (!nxt_configs.size) {  // every branch is stuck, even if that happens right at the step limit
+      break;
+    } else if (too_many || steps >= allowed_steps) {  // some branch could still move but we cannot follow
+      halted = false;
+      break;
+    }
+    ++steps;
+    cur_configs = nxt_configs;
     if (interactive) {
-      drawing.highlight_states(graph, [cur_state]);
-      drawing.viz_TM_tape(tape, tape_idx);
-      if (graph[cur_state].is_final) {
-        return true;
-      } else if (stuck) {
-        return false;
-      } else {
-        yield;
+      drawing.highlight_states(graph, TM_config_to_vertices(cur_configs));
+      drawing.viz_TM_configs(cur_configs);
+      if (accepting(cur_configs)) {
+        break;
       }
+      yield;
     }
   }
-  return graph[cur_state].is_final;
+  return { accepted: accepting(cur_configs), halted, configs: cur_configs, steps };
+}
+
+/**
+ * check if the input is accepted by a (possibly nondeterministic, possibly multi-tape) Turing machine
+ * @param {Object} graph - machine graph
+ * @param {string} input - input string
+ * @param {boolean} interactive - whether to show the computation step by step
+ * @param {int} allowed_steps - the computation gives up if the step limit is reached
+ * @param {int} num_tapes - how many tapes the machine has, 1 for an ordinary Turing machine
+ * @returns {Iterable} a generator that evaluates to true iff some branch reaches a final state,
+ *                     or a gave_up_result if no branch did within the step limit
+ */
+function* run_input_Turing(graph, input, interactive=false, allowed_steps=consts.TM_ALLOWED_STEPS, num_tapes=1) {
+  const { accepted, halted, configs, steps } =
+    yield* TM_computation(graph, input, interactive, allowed_steps, num_tapes);
+  return halted ? accepted : gave_up_result(steps, [...configs.values()].map(TM_config_text));
+}
+
+/**
+ * cut the blanks around the written part of a tape
+ * @param {Object} tape - tape contents indexed by position
+ * @param {int} tape_idx - the tape head position
+ * @returns {Array} [contents, head] the written part and the head position relative to its first symbol
+ */
+function trim_tape(tape, tape_idx) {
+  const written = Object.keys(tape).map(Number).filter(i => tape[i] && tape[i] !== consts.EMPTY_TAPE);
+  if (!written.length) {  // blank tape
+    return ['', 0];
+  }
+  const first = Math.min(...written), last = Math.max(...written);
+  let contents = '';
+  for (let i = first; i <= last; i++) {
+    contents += tape[i] ? tape[i] : consts.EMPTY_TAPE;
+  }
+  return [contents, tape_idx-first];
+}
+
+/**
+ * describe a Turing machine configuration for the user
+ * @param {Array} config - a configuration [vertex_name, tapes, tape_idxs]
+ * @returns {string} the state and the written part of every tape, with the symbol under the head in brackets
+ */
+function TM_config_text([v, tapes, tape_idxs]) {
+  const tape_texts = tapes.map((tape, t) => {
+    let [contents, head] = trim_tape(tape, tape_idxs[t]);
+    if (head < 0) {  // the head is left of the written part
+      contents = consts.EMPTY_TAPE.repeat(-head) + contents;
+      head = 0;
+    }
+    contents = contents.padEnd(head+1, consts.EMPTY_TAPE);
+    return `${contents.slice(0, head)}[${contents.charAt(head)}]${contents.slice(head+1)}`;
+  });
+  return `${v}, tape ${tape_texts.join(' | ')}`;
+}
+
+/**
+ * run a Turing machine as a transducer, i.e. a machine computing a function written on its tape(s)
+ * the result comes from an accepting branch if there is one and from any branch that halted or gave up otherwise
+ * @param {Object} graph - machine graph
+ * @param {string} input - input string
+ * @param {boolean} interactive - whether to show the computation step by step
+ * @param {int} allowed_steps - the computation gives up if the step limit is reached
+ * @param {int} num_tapes - how many tapes the machine has, 1 for an ordinary Turing machine
+ * @returns {Iterable} a generator that evaluates to { accepted, halted, tapes, heads, steps }
+ *                     where tapes are the final contents trimmed of blanks and heads the positions relative to them
+ */
+function* run_transducer_Turing(graph, input, interactive, allowed_steps, num_tapes) {
+  const { accepted, halted, configs, steps } =
+    yield* TM_computation(graph, input, interactive, allowed_steps, num_tapes);
+  const last_configs = [...configs.values()];
+  const [, tapes, tape_idxs] = last_configs.find(([v]) => graph[v].is_final) ?? last_configs[0];
+  const trimmed = tapes.map((tape, t) => trim_tape(tape, tape_idxs[t]));
+  return {
+    accepted, halted, tapes: trimmed.map(([contents]) => contents), heads: trimmed.map(([, head]) => head), steps
+  };
 }
 
 /**
@@ -329,7 +773,8 @@ function* run_input_Turing(graph, input, interactive=false, allowed_steps=512) {
  * @param {Object} graph - machine graph
  * @param {string} input - input string
  * @param {boolean} interactive - whether to show the computation step by step
- * @returns {Iterable} a generator that evaluates to the final output of the machine
+ * @returns {Iterable} a generator that evaluates to the final output of the machine,
+ *                     or what it output before getting stuck on a symbol it has no transition for
  */
 function* run_input_Mealy(graph, input, interactive) {
   let cur_state = find_start(graph);  // find closure of start
@@ -342,12 +787,16 @@ function* run_input_Mealy(graph, input, interactive) {
   }
   for (let i = 0; i < input.length; ++i) {
     let mealy_output = mealy_step(graph, cur_state, input.charAt(i));
+    if (!mealy_output.next_state) {  // can't go anywhere, the output stops here
+      break;
+    }
     cur_state = mealy_output.next_state;
     output_string += mealy_output.output;
     
     if (interactive) {
       drawing.highlight_states(graph, [cur_state]);
       drawing.viz_NFA_input(input, i+1);
+      drawing.viz_transducer_output(output_string, mealy_output.output.length);
       if (i === input.length-1) {  // last step
         break;
       } else {
@@ -366,15 +815,21 @@ function* run_input_Moore(graph, input, interactive) {
   if (interactive) {
     drawing.highlight_states(graph, [cur_state]);
     drawing.viz_NFA_input(input, 0);
+    drawing.viz_transducer_output(output_string, output_string.length);
     yield;
   }
   for (let i = 0; i < input.length; ++i) {
-    cur_state = moore_step(graph, cur_state, input.charAt(i));
+    const next_state = moore_step(graph, cur_state, input.charAt(i));
+    if (!next_state) {  // can't go anywhere, the output stops here
+      break;
+    }
+    cur_state = next_state;
     output_string += graph[cur_state].moore_output;
     
     if (interactive) {
       drawing.highlight_states(graph, [cur_state]);
       drawing.viz_NFA_input(input, i+1);
+      drawing.viz_transducer_output(output_string, graph[cur_state].moore_output.length);
       if (i === input.length-1) {  // last step
         break;
       } else {
@@ -386,17 +841,198 @@ function* run_input_Moore(graph, input, interactive) {
   return output_string;
 }
 
+/**
+ * a single step of a two-way finite automaton, where every configuration follows each edge reading the symbol under
+ * its head, and a head moving past an end-marker falls off the tape, ending that branch
+ * @param {Object} graph - machine graph
+ * @param {string} tape - the input between its end-markers
+ * @param {Array<Array>} cur_configs - [vertex, head position] pairs
+ * @returns {Array<Array>} the configurations a single transition leads to, without duplicates
+ */
+export function two_way_step(graph, tape, cur_configs) {
+  const next_configs = new Map();
+  for (const [v, head] of cur_configs) {
+    for (const edge of graph[v].out) {
+      const next_head = head + (edge.move === consts.LEFT ? -1 : 1);
+      if (edge.transition === tape.charAt(head) && next_head >= 0 && next_head < tape.length) {
+        next_configs.set(JSON.stringify([edge.to, next_head]), [edge.to, next_head]);
+      }
+    }
+  }
+  return [...next_configs.values()];
+}
+
+/**
+ * check if the input is accepted by a two-way finite automaton, which starts on the first input symbol and accepts
+ * once it is in a final state with its head on the right end-marker
+ * a configuration seen before is not followed again, so a machine going round in circles stops once it has no new
+ * configuration left, and rejects
+ * @param {Object} graph - machine graph
+ * @param {string} input - input string
+ * @param {boolean} interactive - whether to step through and highlight the computation
+ * @returns {Iterable} a generator that evaluates to true iff the input is accepted by the machine
+ */
+function* run_input_TwoWay(graph, input, interactive=false) {
+  const tape = consts.LEFT_END_MARKER + input + consts.RIGHT_END_MARKER;
+  const seen = new Set();
+  const unseen = configs => configs.filter(config => {
+    const key = JSON.stringify(config);
+    if (seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+
+  let cur_configs = unseen([[find_start(graph), 1]]);
+  for (;;) {
+    if (interactive) {
+      drawing.highlight_states(graph, cur_configs.map(([v]) => v));
+      drawing.viz_two_way_input(tape, cur_configs.map(([, head]) => head));
+    }
+    if (cur_configs.some(([v, head]) => graph[v].is_final && head === tape.length-1)) {
+      return true;
+    }
+    const next_configs = unseen(two_way_step(graph, tape, cur_configs));
+    if (!next_configs.length) {  // stuck or only repeating itself
+      return false;
+    }
+    if (interactive) {
+      yield;
+    }
+    cur_configs = next_configs;
+  }
+}
+
+/**
+ * split an ω-word written as u(v), meaning u followed by v repeated forever
+ * @param {string} input - the word as typed, where v may not be empty
+ * @returns {Array<string>|null} [u, v], null if the input is not of that form
+ */
+export function parse_lasso(input) {
+  const match = /^([^()]*)\(([^()]+)\)$/.exec(input);
+  return match ? [match[1], match[2]] : null;
+}
+
+/**
+ * search the product of a Büchi automaton and the ω-word u v^ω for a run that visits a final state infinitely often
+ * a node of the product is [state, position in u+v], where reading the last symbol of v leads back to the first
+ * the run is a lasso: a stem from the start to a final node, then a cycle reading at least one symbol back to it
+ * @param {Object} graph - the Büchi automaton
+ * @param {string} u - the part read once
+ * @param {string} v - the part repeated forever, not empty
+ * @returns {Object|null} { stem, cycle, cycle_edges }, the nodes from the start to the final node and from there
+ *                        around back to it, and the edges taken around the cycle, null iff the word is rejected
+ */
+export function find_accepting_lasso(graph, u, v) {
+  const word = u + v;
+  const successors = ([q, i]) => {  // [next node, whether a symbol was read, edge taken] triples
+    const next = [];
+    for (const edge of graph[q].out) {
+      if (edge.transition === consts.EMPTY_SYMBOL) {
+        next.push([[edge.to, i], false, edge]);
+      } else if (edge.transition === word.charAt(i)) {
+        next.push([[edge.to, (i+1 < word.length) ? i+1 : u.length], true, edge]);
+      }
+    }
+    return next;
+  };
+  const walk_back = (parent, key, field=1) => {  // the nodes (or edges) on the BFS tree path to key
+    const path = [];
+    for (; key !== null; key = parent.get(key)[0]) {
+      path.push(parent.get(key)[field]);
+    }
+    return path.reverse();
+  };
+
+  const start = find_start(graph);
+  if (start === null) {
+    return null;
+  }
+  const parent = new Map([[JSON.stringify([start, 0]), [null, [start, 0]]]]);  // key -> [parent key, node]
+  for (const [key, [, node]] of parent) {  // maps are iterated in insertion order, so is BFS by default
+    for (const [next] of successors(node)) {
+      if (!parent.has(JSON.stringify(next))) {
+        parent.set(JSON.stringify(next), [key, next]);
+      }
+    }
+  }
+
+  for (const [key, [, node]] of parent) {  // final nodes closest to the start first
+    if (!graph[node[0]].is_final) {
+      continue;
+    }
+    // BFS over [node, whether a symbol was read yet] until coming back to this node having read something
+    const source = JSON.stringify([node, false]), target = JSON.stringify([node, true]);
+    const cycle_parent = new Map([[source, [null, node, null]]]);  // key -> [parent key, node, edge from parent]
+    for (const [cycle_key, [, cur]] of cycle_parent) {
+      const has_read = JSON.parse(cycle_key)[1];
+      for (const [next, reads, edge] of successors(cur)) {
+        const next_key = JSON.stringify([next, has_read || reads]);
+        if (!cycle_parent.has(next_key)) {
+          cycle_parent.set(next_key, [cycle_key, next, edge]);
+        }
+      }
+      if (cycle_parent.has(target)) {
+        return {
+          stem: walk_back(parent, key), cycle: walk_back(cycle_parent, target),
+          cycle_edges: walk_back(cycle_parent, target, 2).slice(1)  // the node the cycle starts at has no edge
+        };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * check if the ω-word u(v) is accepted by a Büchi automaton, see find_accepting_lasso
+ * @param {Object} graph - machine graph
+ * @param {string} input - the word written as u(v)
+ * @param {boolean} interactive - whether to step through the accepting run, the stem and then the cycle once
+ * @returns {Iterable} a generator that evaluates to the accepting lasso if the word is accepted and false otherwise,
+ *                     or consts.INVALID_INPUT if the input is not of the form u(v)
+ */
+function* run_input_Buchi(graph, input, interactive=false) {
+  const lasso = parse_lasso(input);
+  if (!lasso) {  // neither accepted nor rejected
+    return consts.INVALID_INPUT;
+  }
+  const run = find_accepting_lasso(graph, ...lasso);
+  if (interactive && run) {
+    for (const [q, i] of [...run.stem, ...run.cycle.slice(1)]) {
+      drawing.highlight_states(graph, [q]);
+      drawing.viz_lasso_input(...lasso, i);
+      yield;
+    }
+  }
+  return run ?? false;
+}
+
+/**
+ * how long a run of the machine may go on before the simulation gives up
+ * @param {string} machine_type - type of machine the graph represents
+ * @param {Object} settings - the settings saved with the machine, see consts.DEFAULT_SETTINGS
+ * @returns {int} the number of Turing machine steps or levels of the PDA computation tree
+ */
+export function step_limit(machine_type, settings=consts.DEFAULT_SETTINGS) {
+  if (settings.step_limit > 0) {
+    return settings.step_limit;
+  }
+  return (machine_type === consts.MACHINE_TYPES.PDA) ? consts.PDA_ALLOWED_DEPTH : consts.TM_ALLOWED_STEPS;
+}
+
 /**
  * determines whether the machine is PDA or normal NFA and checks if the input is accepted
  * @param {Object} graph - machine graph
  * @param {string} machine_type - type of machine the graph represents
  * @param {string} input - input string
  * @param {boolean} interactive - whether to step through and highlight the computation
+ * @param {Object} settings - the settings saved with the machine, see consts.DEFAULT_SETTINGS
  * @returns {Iterable} return a generator that
  *                     if noninteractive, evaluates to  the final accept/reject immediately in one step
  *                     if interactive, evaluates step by step with highlight
  */
-export function run_input(graph, machine_type, input, interactive=false) {
+export function run_input(graph, machine_type, input, interactive=false, settings=consts.DEFAULT_SETTINGS) {
   if (interactive) {
     drawing.highlight_states(graph, []);  // clear all highlights
   }
@@ -406,9 +1042,15 @@ export function run_input(graph, machine_type, input, interactive=false) {
   } else if (machine_type === consts.MACHINE_TYPES.NFA) {
     return run_input_NFA(graph, input, interactive);
   } else if (machine_type === consts.MACHINE_TYPES.PDA) {
-    return run_input_PDA(graph, input, interactive);
+    return run_input_PDA(graph, input, interactive, settings);
   } else if (machine_type === consts.MACHINE_TYPES.Turing) {
-    return run_input_Turing(graph, input, interactive);
+    return run_input_Turing(graph, input, interactive, step_limit(machine_type, settings));
+  } else if (machine_type === consts.MACHINE_TYPES.MultiTuring) {
+    return run_input_Turing(graph, input, interactive, step_limit(machine_type, settings), count_tapes(graph));
+  } else if (machine_type === consts.MACHINE_TYPES.Buchi) {
+    return run_input_Buchi(graph, input, interactive);
+  } else if (machine_type === consts.MACHINE_TYPES.TwoWay) {
+    return run_input_TwoWay(graph, input, interactive);
   } else if (machine_type === consts.MACHINE_TYPES.Mealy && is_DFA(graph, input)) {
     return run_input_Mealy(graph, input, interactive);
   } else if (machine_type === consts.MACHINE_TYPES.Moore && is_DFA(graph, input)) {
@@ -416,6 +1058,185 @@ export function run_input(graph, machine_type, input, interactive=false) {
   }
 }
 
+/**
+ * run a Turing machine and report what it leaves on its tapes instead of only accepting or rejecting
+ * @param {Object} graph - machine graph
+ * @param {string} machine_type - either Turing or MultiTuring
+ * @param {string} input - input string
+ * @param {boolean} interactive - whether to step through and highlight the computation
+ * @param {Object} settings - the settings saved with the machine, see consts.DEFAULT_SETTINGS
+ * @returns {Iterable} return a generator that evaluates to { accepted, halted, tapes, heads, steps }, see run_input
+ */
+export function run_TM_transducer(graph, machine_type, input, interactive=false, settings=consts.DEFAULT_SETTINGS) {
+  if (interactive) {
+    drawing.highlight_states(graph, []);  // clear all highlights
+  }
+
+  if (!Object.keys(graph).length) {  // empty graph
+    return 'The graph is empty; nothing to do...';
+  }
+  const num_tapes = (machine_type === consts.MACHINE_TYPES.MultiTuring) ? count_tapes(graph) : 1;
+  return run_transducer_Turing(graph, input, interactive, step_limit(machine_type, settings), num_tapes);
+}
+
+/**
+ * build the computation tree of an NFA or PDA, where the children of a configuration are the configurations a single
+ * transition leads to
+ * a branch ends when it accepts or gets stuck, and is cut when it repeats a configuration of an ancestor, goes past
+ * the step limit of a PDA, or the tree has grown too large to show, see consts.TREE_MAX_NODES
+ * @param {Object} graph - machine graph
+ * @param {string} machine_type - either NFA or PDA
+ * @param {string} input - input string
+ * @param {Object} settings - the settings saved with the machine, see consts.DEFAULT_SETTINGS
+ * @returns {Object} the root configuration, null if there is no start state; each configuration is
+ *                   { state, remaining_input, stack, transition, status, children } where stack is only there for
+ *                   PDAs, transition labels the edge from the parent, and status is one of consts.TREE_NODE_STATUS
+ */
+export function computation_tree(graph, machine_type, input, settings=consts.DEFAULT_SETTINGS) {
+  const start = find_start(graph);
+  if (start === null) {
+    return null;
+  }
+  const is_PDA = machine_type === consts.MACHINE_TYPES.PDA;
+  const make_node = (state, remaining_input, stack, transition) => ({
+    state, remaining_input, ...(is_PDA && { stack }), transition, status: consts.TREE_NODE_STATUS.inner, children: []
+  });
+  const key = node => JSON.stringify([node.state, node.remaining_input, node.stack]);
+  const accepting = node => is_PDA ?
+    PDA_accepting(graph, [node.state, node.stack, node.remaining_input], settings.acceptance) :
+    !node.remaining_input.length && graph[node.state].is_final;
+  const max_depth = is_PDA ? step_limit(machine_type, settings) : Infinity;
+
+  const root = make_node(start, input, PDA_stack_op([], consts.EMPTY_SYMBOL, settings.initial_stack), '');
+  const path_keys = new Map([[root, new Set([key(root)])]]);  // the configurations from the root to each node
+  const depths = new Map([[root, 0]]);
+  const queue = [root];
+  let size = 1;
+  for (let i = 0; i < queue.length; ++i) {  // breadth first, so the size limit cuts the deepest levels
+    const node = queue[i];
+    if (accepting(node)) {
+      node.status = consts.TREE_NODE_STATUS.accept;
+      continue;
+    } else if (depths.get(node) >= max_depth || size + graph[node.state].out.length > consts.TREE_MAX_NODES) {
+      node.status = consts.TREE_NODE_STATUS.cut;
+      continue;
+    }
+    for (const { transition, to, pop_symbol, push_symbol } of graph[node.state].out) {
+      const reads = transition !== consts.EMPTY_SYMBOL;
+      if (reads && transition !== node.remaining_input.charAt(0)) {  // input mismatch
+        continue;
+      }
+      const stack = is_PDA ? PDA_stack_op(node.stack, pop_symbol, push_symbol) : undefined;
+      if (is_PDA && !stack) {  // stack mismatch
+        continue;
+      }
+      const label = is_PDA ? `${transition},${pop_symbol}${consts.ARROW_SYMBOL}${push_symbol}` : transition;
+      const child = make_node(to, reads ? node.remaining_input.slice(1) : node.remaining_input, stack, label);
+      node.children.push(child);
+      ++size;
+      if (path_keys.get(node).has(key(child))) {  // going around in a loop
+        child.status = consts.TREE_NODE_STATUS.cut;
+        continue;
+      }
+      path_keys.set(child, new Set([...path_keys.get(node), key(child)]));
+      depths.set(child, depths.get(node)+1);
+      queue.push(child);
+    }
+    if (!node.children.length) {
+      node.status = consts.TREE_NODE_STATUS.dead;
+    }
+  }
+  return root;
+}
+
+/**
+ * generate all strings over the alphabet in shortlex order, i.e. by length then alphabetically
+ * the strings are made one at a time by counting in base alphabet.length, never holding a whole length in memory
+ * @param {Array<string>} alphabet - the sorted symbols
+ * @param {int} max_length - the longest string to generate
+ * @returns {Iterable<string>} a generator of the strings
+ */
+function* shortlex_strings(alphabet, max_length) {
+  yield '';
+  if (!alphabet.length) {
+    return;
+  }
+  for (let length = 1; length <= max_length; length++) {
+    const digits = new Array(length).fill(0);
+    while (true) {
+      yield digits.map(digit => alphabet[digit]).join('');
+      let pos = length-1;  // add one, carrying from the last symbol
+      for (; pos >= 0 && digits[pos] === alphabet.length-1; pos--) {
+        digits[pos] = 0;
+      }
+      if (pos < 0) {  // wrapped around, so every string of this length was generated
+        break;
+      }
+      ++digits[pos];
+    }
+  }
+}
+
+/**
+ * guess which symbols the machine may be given as input, see sample_language
+ * a Turing machine also reads the symbols it writes, so the ones it only ever writes over some other symbol,
+ * like the marks X and Y it replaces input symbols with, are taken to be tape symbols and left out
+ * @param {Object} graph - machine graph
+ * @param {string} machine_type - type of machine the graph represents
+ * @returns {Array<string>} the symbols in sorted order
+ */
+export function input_alphabet(graph, machine_type) {
+  let alphabet = compute_alphabet(graph);
+  if (machine_type === consts.MACHINE_TYPES.Turing || machine_type === consts.MACHINE_TYPES.MultiTuring) {
+    // the input only ever appears on the first tape
+    alphabet = new Set([...alphabet].map(symbols => symbols.charAt(0)));
+    for (const edge of Object.values(graph).flatMap(vertex => vertex.out)) {
+      if (edge.push_symbol.charAt(0) !== edge.transition.charAt(0)) {
+        alphabet.delete(edge.push_symbol.charAt(0));
+      }
+    }
+  }
+  alphabet.delete(consts.EMPTY_TAPE);  // the blank is never part of a Turing machine input
+  alphabet.delete(consts.LEFT_END_MARKER);  // nor are the end-markers of a two-way automaton
+  alphabet.delete(consts.RIGHT_END_MARKER);
+  return [...alphabet].sort();
+}
+
+/**
+ * run the machine on strings in shortlex order until enough are accepted and enough are rejected
+ * each run is noninteractive, so PDAs and Turing machines are bounded by their step limits, see step_limit,
+ * and at most consts.SAMPLE_MAX_TRIES strings are tried in total
+ * @param {Object} graph - machine graph
+ * @param {string} machine_type - type of machine the graph represents
+ * @param {int} count - how many accepted and how many rejected strings to find
+ * @param {int} max_length - the longest string to try
+ * @param {Object} settings - the settings saved with the machine, see consts.DEFAULT_SETTINGS
+ * @param {Array<string>} alphabet - the sorted symbols to make the strings from, see input_alphabet
+ * @returns {Object} { accepted, rejected, tried_length }, the first count strings of each in shortlex order, leaving
+ *                   out the strings the machine did not halt on, and the length up to which every string was tried
+ */
+export function sample_language(graph, machine_type, count, max_length=8, settings=consts.DEFAULT_SETTINGS,
+  alphabet=input_alphabet(graph, machine_type)) {
+  const accepted = [], rejected = [];
+  let tried = 0, tried_length = max_length;
+  for (const input of shortlex_strings(alphabet, max_length)) {
+    if ((accepted.length >= count && rejected.length >= count) || tried >= consts.SAMPLE_MAX_TRIES) {
+      tried_length = input.length-1;  // stopped somewhere within this length
+      break;
+    }
+    ++tried;
+    const { value } = run_input(graph, machine_type, input, false, settings).next();
+    if (gave_up(value) || value === consts.INVALID_INPUT) {  // belongs to neither list
+      continue;
+    }
+    const bucket = value ? accepted : rejected;
+    if (bucket.length < count) {
+      bucket.push(input);
+    }
+  }
+  return { accepted, rejected, tried_length };
+}
+
 /** given an NFA, check if it is in fact deterministic */
 export function is_DFA(NFA, input) {
   const alphabet = compute_alphabet(NFA, input);
@@ -32,6 +32,9 @@ export const INPUT_VIZ_HEIGHT_R = 0.94;
 
 export const TAPE_VIEW_RADIUS = 5;
 
+/** @constant {float} VIZ_ROW_SPACING - distance between rows of stacked visualizations wrt DEFAULT_VIZ_SIZE */
+export const VIZ_ROW_SPACING = 1.2;
+
 export const TAPE_LEFT_ARROW = '◀';
 export const TAPE_RIGHT_ARROW = '▶';
 
@@ -49,6 +52,32 @@ export const PDA_CONF_COLOR = 'rgba(255, 0, 0, 0.7)';
 /** @constant {string} HIGH_LIGHTED_VERTEX_COLOR - color of the highlighted vertex */
 export const HIGHLIGHTED_VERTEX_COLOR = 'rgba(96, 192, 128, 0.3)';
 
+/** @constant {string} HIGHLIGHTED_EDGE_COLOR - color of the highlighted edge */
+export const HIGHLIGHTED_EDGE_COLOR = 'rgb(48, 160, 96)';
+
+/** @constant {int} TREE_MAX_NODES - a computation tree stops growing after this many configurations */
+export const TREE_MAX_NODES = 200;
+
+/** @constant {int} SAMPLE_MAX_TRIES - a language sample stops after running the machine on this many strings */
+export const SAMPLE_MAX_TRIES = 1000;
+
+/** @constant {Object} TREE_NODE_STATUS - how the branch through a node of a computation tree goes on */
+export const TREE_NODE_STATUS = {
+  inner: 'inner',  // the node has children
+  accept: 'accept',  // an accepting configuration
+  dead: 'dead',  // stuck without accepting
+  cut: 'cut'  // not explored, since it repeats an ancestor or is past the step limit or the size limit
+};
+
+/** @constant {int} TREE_FONT_SIZE - [px] text size of the computation tree */
+export const TREE_FONT_SIZE = 14;
+
+/** @constant {int} TREE_LEVEL_HEIGHT - [px] vertical distance between the levels of the computation tree */
+export const TREE_LEVEL_HEIGHT = 70;
+
+/** @constant {string} TREE_DEAD_COLOR - color of the configurations of a computation tree that are stuck */
+export const TREE_DEAD_COLOR = 'darkgray';
+
 /** @constant {float} EDGE_TEXT_SACALING - a fraction of vertex radius to as the transition text size */
 export const EDGE_TEXT_SACALING = 0.7;
 
@@ -79,6 +108,9 @@ export const DEFAULT_MEALY_OUTPUT = '0';
 /** @constant {string} DEFAULT_MOORE_MEALY_TRANSITION - prepopulate transitions for Moore / Mealy machines with this */
 export const DEFAULT_MOORE_MEALY_TRANSITION = '0';
 
+/** @constant {string} DEFAULT_TWO_WAY_TRANSITION - prepopulate transitions for two-way automata, which never take ε */
+export const DEFAULT_TWO_WAY_TRANSITION = 'a';
+
 /** @constant {string} ARROW_SYMBOL - arrow symbol */
 export const ARROW_SYMBOL = '→';
 
@@ -87,12 +119,16 @@ export const MACHINE_TYPES = {
   NFA: 'NFA',
   PDA: 'PDA',
   Turing: 'Turing',
+  MultiTuring: 'MultiTuring',
   Moore: 'Moore',
   Mealy: 'Mealy',
-  Regex: 'Regex'
+  TwoWay: 'TwoWay',
+  Buchi: 'Buchi',
+  Regex: 'Regex',
+  CFG: 'CFG'
 };
 
-/** @constant {string} DEFAULT_MACHINE - choice from ['NFA', 'PDA', 'Turing', 'Regex'] */
+/** @constant {string} DEFAULT_MACHINE - choice from ['NFA', 'PDA', 'Turing', 'MultiTuring', 'TwoWay', 'Buchi', 'Regex', 'CFG'] */
 export const DEFAULT_MACHINE = MACHINE_TYPES.NFA;
 
 /** @constant {Object} HIST_KEYS - localstore key to the history stack */
@@ -100,9 +136,13 @@ export const HIST_KEYS = {
   NFA: '%nfa_history',
   PDA: '%PDA_history',
   Turing: '%turing_history',
+  MultiTuring: '%multi_turing_history',
   Moore: '%moore_history',
   Mealy: '%mealy_history',
-  Regex: '%regex_history'
+  TwoWay: '%two_way_history',
+  Buchi: '%buchi_history',
+  Regex: '%regex_history',
+  CFG: '%cfg_history'
 };
 
 /** @constant {Object} HIST_TIP_KEYS - localstore key to pointer to the top of the history stack */
@@ -110,9 +150,13 @@ export const HIST_TIP_KEYS = {
   NFA: '%nfa_hist_tip',
   PDA: '%PDA_hist_tip',
   Turing: '%turing_hist_tip',
+  MultiTuring: '%multi_turing_hist_tip',
   Moore: '%moore_hist_tip',
   Mealy: '%mealy_history_tip',
-  Regex: '%regex_hist_tip'
+  TwoWay: '%two_way_hist_tip',
+  Buchi: '%buchi_hist_tip',
+  Regex: '%regex_hist_tip',
+  CFG: '%cfg_hist_tip'
 };
 
 /** @constant {Object} HIST_PTR_KEYS - localstore key to pointer to the currently displayed graph */
@@ -120,11 +164,50 @@ export const HIST_PTR_KEYS = {
   NFA: '%nfa_hist_ptr',
   PDA: '%PDA_hist_ptr',
   Turing: '%turing_hist_ptr',
+  MultiTuring: '%multi_turing_hist_ptr',
   Moore: '%moore_hist_ptr',
   Mealy: '%mealy_history_ptr',
-  Regex: '%regex_hist_ptr'
+  TwoWay: '%two_way_hist_ptr',
+  Buchi: '%buchi_hist_ptr',
+  Regex: '%regex_hist_ptr',
+  CFG: '%cfg_hist_ptr'
+};
+
+/** @constant {string} TEST_SUITE_DELIM - separates the input from the expected outcome in a test suite line */
+export const TEST_SUITE_DELIM = ',';
+
+/** @constant {string} GRAMMAR_KEY - localstore key to the grammar typed in the grammar editor */
+export const GRAMMAR_KEY = '%grammar';
+
+/** @constant {RegExp} PRODUCTION_ARROW - what separates the two sides of a production, e.g. S → aSb */
+export const PRODUCTION_ARROW = /→|->|::=/;
+
+/** @constant {string} PRODUCTION_UNION - separates the alternatives of a production, e.g. S → aSb | ε */
+export const PRODUCTION_UNION = '|';
+
+/** @constant {string} STACK_BOTTOM - marks the bottom of the stack of a PDA converted from a grammar */
+export const STACK_BOTTOM = '$';
+
+/** @constant {Object} PDA_ACCEPTANCE - what a PDA needs once its input is exhausted in order to accept */
+export const PDA_ACCEPTANCE = {
+  final_state: 'final',
+  empty_stack: 'empty',
+  both: 'both'
+};
+
+/** @constant {Object} DEFAULT_SETTINGS - settings of a machine the user has not configured */
+export const DEFAULT_SETTINGS = {
+  acceptance: PDA_ACCEPTANCE.final_state,
+  initial_stack: '',  // no symbol on the stack initially
+  step_limit: 0  // the default limit of the machine type, see compute.step_limit
 };
 
+/** @constant {string} ACCEPT_WORD - expected outcome of an accepted input in a test suite */
+export const ACCEPT_WORD = 'accept';
+
+/** @constant {string} REJECT_WORD - expected outcome of a rejected input in a test suite */
+export const REJECT_WORD = 'reject';
+
 /** @constant {float} ZOOM_SPEED - final zoom is ZOOM_SPEED*scroll_wheel_ticks */
 export const ZOOM_SPEED = 0.001;
 
@@ -140,9 +223,48 @@ export const LEFT = 'L';
 /** @constant {string} RIGHT - symbol for move tape right */
 export const RIGHT = 'R';
 
+/** @constant {string} LEFT_END_MARKER - placed before the input of a two-way finite automaton */
+export const LEFT_END_MARKER = '⊢';
+
+/** @constant {string} RIGHT_END_MARKER - placed after the input of a two-way finite automaton */
+export const RIGHT_END_MARKER = '⊣';
+
+/** @constant {Object} END_MARKER_KEYS - what to type on an edge of a two-way automaton to read each end-marker */
+export const END_MARKER_KEYS = { '<': LEFT_END_MARKER, '>': RIGHT_END_MARKER };
+
+/** @constant {string} STAY - symbol for keeping a tape head in place, only for multi-tape Turing machines */
+export const STAY = 'S';
+
+/** @constant {int} TM_ALLOWED_STEPS - by default, a Turing machine run gives up after this many steps */
+export const TM_ALLOWED_STEPS = 512;
+
+/** @constant {int} TM_MAX_CONFIGS - a Turing machine run gives up once its branches have this many configurations */
+export const TM_MAX_CONFIGS = 1000;
+
+/** @constant {int} TRACE_MAX_CONFIGS - how many of the configurations a run gave up in are shown to the user */
+export const TRACE_MAX_CONFIGS = 3;
+
+/** @constant {int} PDA_ALLOWED_DEPTH - by default, a PDA run gives up after this many levels of its BFS tree */
+export const PDA_ALLOWED_DEPTH = 64;
+
+/** @constant {string} GAVE_UP - how a run that reaches its step limit undecided is reported, see compute.gave_up */
+export const GAVE_UP = 'gave up';
+
+/** @constant {string} INVALID_INPUT - what a computation evaluates to on an ω-word not written as u(v) */
+export const INVALID_INPUT = 'invalid input';
+
+/** @constant {int} DEFAULT_NUM_TAPES - number of tapes of a new multi-tape Turing machine */
+export const DEFAULT_NUM_TAPES = 2;
+
 /** @constant {string} TRAP_STATE - name of the trap state for a DFA */
 export const TRAP_STATE = 'q_trap';
 
+/** @constant {string} GNFA_START - name of the new start state of a GNFA */
+export const GNFA_START = 'q_start';
+
+/** @constant {string} GNFA_ACCEPT - name of the single accept state of a GNFA */
+export const GNFA_ACCEPT = 'q_accept';
+
 /** @constant {Object} TEXT_SIZING_CONSTS - a list of function params to correctly size texts */
 export const TEXT_SIZING_CONSTS = {
   k: -0.20810,
@@ -153,6 +275,9 @@ export const TEXT_SIZING_CONSTS = {
 /** @constant {string} LEGAL_CHARS - a string consisting of all url-legal characters */
 export const LEGAL_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-._~:/?#[]@!$&\'()*+,;=';
 
+/** @constant {int} PERMALINK_VERSION - version of the permalink format, bumped whenever old links would misparse */
+export const PERMALINK_VERSION = 2;
+
 /** @constant {string} FIELD_DELIM - delimiter for fields in a permalink */
 export const FIELD_DELIM = ':';
 
@@ -173,6 +298,9 @@ export const ACCEPT_COLOR = 'green';
 
 /** @constant {string} REJECT_COLOR - color of machine input when rejected  */
 export const REJECT_COLOR = 'darkRed';
+
+/** @constant {string} GAVE_UP_COLOR - color of machine input when the machine did not halt within its step limit */
+export const GAVE_UP_COLOR = 'darkGoldenrod';
 /** @constant {string} OPEN - opening parentheses for regular expressions */
 export const OPEN = '(';
 
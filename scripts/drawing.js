@@ -320,8 +320,10 @@ export function draw_edge(graph, edge, text_size) {
 
   if (menus.is_PDA()) {  // append pop and push if we have PDA
     edge_text += ','+pop_symbol+consts.ARROW_SYMBOL+push_symbol;
-  } else if (menus.is_Turing()) {  // append push and left/right if we have turing
+  } else if (menus.is_Turing() || menus.is_MultiTuring()) {  // append push and left/right if we have turing
     edge_text += consts.ARROW_SYMBOL+push_symbol+','+move;
+  } else if (menus.is_TwoWay()) {  // append left/right if we have a two-way automaton
+    edge_text += ','+move;
   } else if (menus.is_Mealy()) {
     edge_text += ' / ' + mealy_output;
   }
@@ -459,6 +461,19 @@ export function highlight_states(graph, cur_states) {
   draw(graph);
 }
 
+/**
+ * draw some edges again on top of the graph in the highlight color, e.g. to trace a run through the machine
+ * @param {Object} graph - the graph containing the edges
+ * @param {Iterable<Object>} edges - edge objects of the graph
+ */
+export function highlight_edges(graph, edges) {
+  const ctx = get_canvas().getContext('2d');
+  for (const edge of edges) {
+    ctx.strokeStyle = ctx.fillStyle = consts.HIGHLIGHTED_EDGE_COLOR;  // drawing the label resets the colors
+    draw_edge(graph, edge, consts.EDGE_TEXT_SACALING*graph[edge.from].r);
+  }
+}
+
 /**
  * displays the input_str and highlight the character being processed at this step
  * @param {string} input_str - the machine input that is currently being run
@@ -480,18 +495,70 @@ export function viz_NFA_input(input_str, index) {
   draw_text(input_str, pos, consts.DEFAULT_VIZ_SIZE, color_map);
 }
 
+/**
+ * displays the input of a two-way finite automaton between its end-markers and highlight where its heads are
+ * @param {string} tape - the input with its end-markers
+ * @param {Array<int>} heads - positions on the tape of the heads of all current configurations
+ */
+export function viz_two_way_input(tape, heads) {
+  const canvas = get_canvas();
+  const pos = [canvas.width*consts.INPUT_VIZ_WIDTH_R, canvas.height*consts.INPUT_VIZ_HEIGHT_R];
+  const color_map = [];
+  for (let i = 0; i < tape.length; ++i) {
+    color_map.push(heads.includes(i) ? consts.CUR_INPUT_COLOR : consts.DEFAULT_INPUT_COLOR);
+  }
+  draw_text(tape, pos, consts.DEFAULT_VIZ_SIZE, color_map);
+}
+
+/**
+ * displays an ω-word as u(v) and highlight the symbol being read at this step
+ * @param {string} u - the part read once
+ * @param {string} v - the part repeated forever
+ * @param {int} index - position in u+v of the symbol being read
+ */
+export function viz_lasso_input(u, v, index) {
+  const canvas = get_canvas();
+  const pos = [canvas.width*consts.INPUT_VIZ_WIDTH_R, canvas.height*consts.INPUT_VIZ_HEIGHT_R];
+  const word = `${u}(${v})`;
+  const cur = (index < u.length) ? index : index+1;  // skip over the opening parenthesis
+  const color_map = [];
+  for (let i = 0; i < word.length; ++i) {
+    color_map.push((i === cur) ? consts.CUR_INPUT_COLOR : consts.DEFAULT_INPUT_COLOR);
+  }
+  draw_text(word, pos, consts.DEFAULT_VIZ_SIZE, color_map);
+}
+
+/**
+ * displays the output a Mealy or Moore machine has produced so far, in the row above the input visualization
+ * @param {string} output_str - the output so far
+ * @param {int} emitted - how many of the last characters were output by the current step, these are highlighted
+ */
+export function viz_transducer_output(output_str, emitted) {
+  const canvas = get_canvas();
+  const pos = [canvas.width*consts.INPUT_VIZ_WIDTH_R,
+    canvas.height*consts.INPUT_VIZ_HEIGHT_R - consts.VIZ_ROW_SPACING*consts.DEFAULT_VIZ_SIZE];
+  const color_map = [];
+  for (let i = 0; i < output_str.length; ++i) {
+    color_map.push((i < output_str.length-emitted) ? consts.DEFAULT_INPUT_COLOR : consts.CUR_INPUT_COLOR);
+  }
+  draw_text(output_str, pos, consts.DEFAULT_VIZ_SIZE, color_map);
+}
+
 /**
  * displays the relavant section of the Turing Machine tape as an overlay
  * @param {Map<int, string>} tape - tape contents indexed by position. Using map due to potentially neg index
  * @param {int} tape_idx - the current tape head position
+ * @param {int} row - how many rows above the bottom of the canvas to draw, for showing multiple tapes
+ * @param {string} label - text to put in front of the tape
  */
-export function viz_TM_tape(tape, tape_idx) {
+export function viz_TM_tape(tape, tape_idx, row=0, label='') {
   const canvas = get_canvas();
-  const pos = [canvas.width*consts.INPUT_VIZ_WIDTH_R, canvas.height*consts.INPUT_VIZ_HEIGHT_R];
-  const color_map = [consts.DEFAULT_INPUT_COLOR];
+  const pos = [canvas.width*consts.INPUT_VIZ_WIDTH_R,
+    canvas.height*consts.INPUT_VIZ_HEIGHT_R - row*consts.VIZ_ROW_SPACING*consts.DEFAULT_VIZ_SIZE];
+  const color_map = [...new Array(label.length).fill(consts.PDA_CONF_COLOR), consts.DEFAULT_INPUT_COLOR];
   const tape_start = tape_idx-consts.TAPE_VIEW_RADIUS;
   const tape_end = tape_idx+consts.TAPE_VIEW_RADIUS;
-  const tape_arr = [consts.TAPE_LEFT_ARROW];
+  const tape_arr = [...label, consts.TAPE_LEFT_ARROW];
   for (let i = tape_start; i <= tape_end; ++i) {
     if (i < tape_idx) {
       color_map.push(consts.DEFAULT_INPUT_COLOR);
@@ -511,6 +578,28 @@ export function viz_TM_tape(tape, tape_idx) {
   draw_text(tape_arr.join(''), pos, consts.DEFAULT_VIZ_SIZE, color_map);
 }
 
+/**
+ * displays the tapes of every branch of a nondeterministic Turing machine, one row per tape per branch
+ * @param {Map<string, Array>} TM_configs - configurations [vertex_name, tapes, tape_idxs]. Using map to avoid duplicates
+ *                                          the key is the serialized configuration as a string
+ */
+export function viz_TM_configs(TM_configs) {
+  const configs = [...TM_configs.values()];
+  if (configs.length === 1 && configs[0][1].length === 1) {  // the highlighted vertex already tells the state
+    const [[, [tape], [tape_idx]]] = configs;
+    viz_TM_tape(tape, tape_idx);
+    return;
+  }
+  let row = 0;
+  for (const [v, tapes, tape_idxs] of configs) {
+    // drawn bottom up, so go through the tapes backwards to have the first tape on top
+    for (let t = tapes.length-1; t >= 0; --t) {
+      const tape_label = (tapes.length === 1) ? '' : `[${t+1}]`;
+      viz_TM_tape(tapes[t], tape_idxs[t], row++, `${v}${tape_label}@${tape_idxs[t]}:`);
+    }
+  }
+}
+
 /**
  * Displays each compute configuration near the vertex the non-deterministic branch is at
  * @param {Object} graph
@@ -536,3 +625,70 @@ export function viz_PDA_configs(graph, PDA_configs) {
     draw_text(text, pos, consts.DEFAULT_VIZ_SIZE, color_map);
   }
 }
+
+/**
+ * draws a computation tree with its root on top and every configuration centered above its children
+ * accepting configurations are highlighted, stuck ones greyed out and the ones not explored further have dashed boxes
+ * @param {HTMLCanvasElement} canvas - the canvas to draw on, resized to fit the tree
+ * @param {Object} root - the root configuration, see compute.computation_tree
+ */
+export function draw_computation_tree(canvas, root) {
+  const text_of = node => {
+    const fields = [node.state, node.remaining_input || consts.EMPTY_SYMBOL];
+    if (node.stack) {  // the stack is shown bottom first as in viz_PDA_configs
+      fields.push(node.stack.join('') || consts.EMPTY_SYMBOL);
+    }
+    return `(${fields.join(', ')})`;
+  };
+  const ctx = canvas.getContext('2d');
+  ctx.font = `${consts.TREE_FONT_SIZE}px Sans-Serif`;
+  // lay out the leaves left to right and put each parent in the middle of its children
+  const positions = new Map();
+  let leaves = 0, depth = 0, column_width = 0;
+  const layout = (node, level) => {
+    column_width = Math.max(column_width, ctx.measureText(text_of(node)).width, ctx.measureText(node.transition).width);
+    depth = Math.max(depth, level);
+    node.children.forEach(child => layout(child, level+1));
+    const x = node.children.length ?
+      (positions.get(node.children[0])[0] + positions.get(node.children.at(-1))[0])/2 : leaves++;
+    positions.set(node, [x, level]);
+  };
+  layout(root, 0);
+  column_width += consts.TREE_FONT_SIZE;  // some room between neighbors
+  const to_px = ([x, level]) => [(x+0.5)*column_width, (level+0.5)*consts.TREE_LEVEL_HEIGHT];
+
+  const width = leaves*column_width, height = (depth+1)*consts.TREE_LEVEL_HEIGHT;
+  canvas.width = width*window.devicePixelRatio;
+  canvas.height = height*window.devicePixelRatio;
+  canvas.style.width = `${width}px`;
+  canvas.style.height = `${height}px`;
+  ctx.scale(window.devicePixelRatio, window.devicePixelRatio);
+  ctx.font = `${consts.TREE_FONT_SIZE}px Sans-Serif`;  // resizing the canvas resets the context
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+
+  const box_height = 1.6*consts.TREE_FONT_SIZE;
+  for (const [node, position] of positions.entries()) {
+    const [x, y] = to_px(position);
+    for (const child of node.children) {  // the edges go from the bottom of the box to the top of the child's
+      const [child_x, child_y] = to_px(positions.get(child));
+      ctx.strokeStyle = ctx.fillStyle = consts.DEFAULT_INPUT_COLOR;
+      ctx.beginPath();
+      ctx.moveTo(x, y+box_height/2);
+      ctx.lineTo(child_x, child_y-box_height/2);
+      ctx.stroke();
+      ctx.fillText(child.transition, (x+child_x)/2, (y+child_y)/2);
+    }
+    const text = text_of(node), box_width = ctx.measureText(text).width + consts.TREE_FONT_SIZE/2;
+    if (node.status === consts.TREE_NODE_STATUS.accept) {
+      ctx.fillStyle = consts.HIGHLIGHTED_VERTEX_COLOR;
+      ctx.fillRect(x-box_width/2, y-box_height/2, box_width, box_height);
+    }
+    const color = (node.status === consts.TREE_NODE_STATUS.dead) ? consts.TREE_DEAD_COLOR : consts.DEFAULT_INPUT_COLOR;
+    ctx.strokeStyle = ctx.fillStyle = color;
+    ctx.setLineDash((node.status === consts.TREE_NODE_STATUS.cut) ? [4, 4] : []);
+    ctx.strokeRect(x-box_width/2, y-box_height/2, box_width, box_height);
+    ctx.setLineDash([]);
+    ctx.fillText(text, x, y);
+  }
+}
@@ -0,0 +1,543 @@
+/** @module grammar */
+
+import * as consts from './consts.js';
+import * as compute from './compute.js';
+import * as graph_components from './graph_components.js';
+
+/**
+ * variables are uppercase letters, optionally followed by digits or primes as in S0 or A', or any name in angle
+ * brackets as in <q0,q1>; every other symbol is a single character terminal
+ * @param {string} symbol - a single symbol of a production
+ * @returns {boolean} true iff the symbol is a variable
+ */
+export function is_variable(symbol) {
+  return /^(<[^<>]+>|[A-Z][0-9']*)$/.test(symbol);
+}
+
+/**
+ * split the right hand side of a production into its symbols
+ * @param {string} body - e.g. 'aSb', 'A1 0' or '<p,q>a'; whitespace only separates symbols
+ * @returns {Array<string>} the symbols, without ε
+ */
+function tokenize(body) {
+  return body.match(/<[^<>]+>|[A-Z][0-9']*|\S/gu)?.filter(symbol => symbol !== consts.EMPTY_SYMBOL) ?? [];
+}
+
+/**
+ * write the symbols of a right hand side so that tokenize reads them back
+ * @param {Array<string>} body - the symbols
+ * @returns {string} the symbols, separated by a space only where they would otherwise run together
+ */
+function join_symbols(body) {
+  if (!body.length) {
+    return consts.EMPTY_SYMBOL;
+  }
+  return body.reduce((acc, symbol, i) => {
+    const runs_together = i > 0 && /^[A-Z]/.test(body[i-1]) && /^[0-9']/.test(symbol);
+    return acc + (runs_together ? ' ' : '') + symbol;
+  }, '');
+}
+
+/**
+ * parse a grammar with one or more productions per line, e.g. 'S → aSb | ε'
+ * the variable on the left of the first line is the start variable, and ε or nothing stands for the empty string
+ * @param {string} text - the grammar as text, where -> and ::= may be used instead of →
+ * @returns {Object} { start, productions } where productions maps each variable to its right hand sides,
+ *                   each an array of symbols
+ */
+export function parse(text) {
+  const productions = {};
+  let start = null;
+  for (const [i, line] of text.split('\n').entries()) {
+    if (!line.trim()) {
+      continue;
+    }
+    const sides = line.split(consts.PRODUCTION_ARROW);
+    if (sides.length !== 2) {
+      throw new Error(`Line ${i+1} needs exactly one ${consts.ARROW_SYMBOL} between the variable and its productions`);
+    }
+    const variable = sides[0].trim();
+    if (!is_variable(variable)) {
+      throw new Error(`Line ${i+1}: "${variable}" is not a variable, e.g. S, A1, B' or <any name>`);
+    }
+    start = start ?? variable;
+    productions[variable] = productions[variable] ?? [];
+    for (const alternative of sides[1].split(consts.PRODUCTION_UNION)) {
+      const body = tokenize(alternative);
+      if (body.includes(consts.STACK_BOTTOM)) {
+        throw new Error(`Line ${i+1}: ${consts.STACK_BOTTOM} is reserved for the bottom of the stack`);
+      }
+      add_production(productions, variable, body);
+    }
+  }
+  if (start === null) {
+    throw new Error('The grammar is empty');
+  }
+  return { start, productions };
+}
+
+/**
+ * add a production unless the grammar already has it
+ * @param {Object} productions - maps each variable to its right hand sides
+ * @param {string} variable - the left hand side
+ * @param {Array<string>} body - the right hand side
+ */
+function add_production(productions, variable, body) {
+  productions[variable] = productions[variable] ?? [];
+  if (!productions[variable].some(other => other.join('\0') === body.join('\0'))) {
+    productions[variable].push(body);
+  }
+}
+
+/**
+ * the inverse of parse
+ * @param {Object} grammar - { start, productions } as returned by parse
+ * @returns {string} the grammar as text, one variable per line
+ */
+export function stringify(grammar) {
+  return Object.entries(grammar.productions).map(([variable, bodies]) =>
+    `${variable} ${consts.ARROW_SYMBOL} ${bodies.map(join_symbols).join(' | ')}`
+  ).join('\n');
+}
+
+/**
+ * compute the terminals appearing in the grammar
+ * @param {Object} grammar - { start, productions } as returned by parse
+ * @returns {Set<string>} the terminals
+ */
+export function terminals(grammar) {
+  const result = new Set();
+  for (const bodies of Object.values(grammar.productions)) {
+    for (const body of bodies) {
+      body.filter(symbol => !is_variable(symbol)).forEach(symbol => result.add(symbol));
+    }
+  }
+  return result;
+}
+
+/**
+ * compute the variables appearing in the grammar, on either side of a production
+ * @param {Object} grammar - { start, productions } as returned by parse
+ * @returns {Set<string>} the variables
+ */
+export function variables(grammar) {
+  const result = new Set([grammar.start, ...Object.keys(grammar.productions)]);
+  for (const bodies of Object.values(grammar.productions)) {
+    for (const body of bodies) {
+      body.filter(is_variable).forEach(symbol => result.add(symbol));
+    }
+  }
+  return result;
+}
+
+/**
+ * spread the self loops of a vertex evenly around it so that their labels do not overlap
+ * @param {Array<Object>} loops - the self loop edges
+ */
+function spread_loops(loops) {
+  const step = 2*Math.PI/loops.length;
+  for (const [i, edge] of loops.entries()) {
+    edge.angle1 = -Math.PI/2 + i*step - step/4;  // start from the top and go clockwise
+    edge.angle2 = edge.angle1 + step/2;
+    edge.a1 = 0.5;
+    edge.a2 = 2;
+  }
+}
+
+/**
+ * find characters that appear nowhere else, to stand for stack symbols the construction needs
+ * @param {Set<string>} taken - the characters already in use
+ * @param {int} count - how many characters are needed
+ * @returns {Array<string>} the unused characters
+ */
+function unused_characters(taken, count) {
+  const result = [];
+  for (let code = 'A'.charCodeAt(0); result.length < count; ++code) {  // uppercase letters first, then onwards
+    const c = String.fromCharCode(code);
+    if (!taken.has(c) && c !== consts.EMPTY_SYMBOL && c !== consts.STACK_BOTTOM && !/\s/.test(c)) {
+      result.push(c);
+    }
+  }
+  return result;
+}
+
+/**
+ * convert a grammar to an equivalent PDA with the standard construction
+ * after pushing the start variable, a single loop state replaces the variable on top of the stack by one of its
+ * productions and matches the terminal on top of the stack against the input, until only the bottom marker is left
+ * @param {Object} grammar - { start, productions } as returned by parse
+ * @returns {Object} graph of the PDA, which accepts by final state and with an empty stack
+ */
+export function CFG_to_PDA(grammar) {
+  // the stack holds single characters, so variables with longer names get a character of their own
+  const to_stack = {};
+  const long_variables = [...variables(grammar)].filter(variable => variable.length > 1);
+  const taken = new Set([...terminals(grammar), ...variables(grammar)]);
+  const replacements = unused_characters(taken, long_variables.length);
+  for (const [i, variable] of long_variables.entries()) {
+    to_stack[variable] = replacements[i];
+  }
+  const stack_str = symbols => symbols.map(symbol => to_stack[symbol] ?? symbol).join('');
+
+  const [start, loop, accept] = ['q_start', 'q_loop', 'q_accept'];
+  const spacing = 6*consts.DEFAULT_VERTEX_RADIUS;  // leave room for the self loops
+  const PDA = {
+    [start]: graph_components.make_vertex(start, 200, 300, consts.DEFAULT_VERTEX_RADIUS, true, false),
+    [loop]: graph_components.make_vertex(loop, 200+spacing, 300, consts.DEFAULT_VERTEX_RADIUS, false, false),
+    [accept]: graph_components.make_vertex(accept, 200+2*spacing, 300, consts.DEFAULT_VERTEX_RADIUS, false, true)
+  };
+  const PDA_edge = (from, to, transition, pop_symbol, push_symbol) => graph_components.make_edge(
+    from, to, transition, undefined, undefined, undefined, undefined,
+    pop_symbol, push_symbol || consts.EMPTY_SYMBOL, consts.RIGHT, consts.DEFAULT_MEALY_OUTPUT);
+
+  PDA[start].out.push(PDA_edge(start, loop, consts.EMPTY_SYMBOL, consts.EMPTY_SYMBOL,
+    stack_str([grammar.start, consts.STACK_BOTTOM])));
+  for (const [variable, bodies] of Object.entries(grammar.productions)) {
+    for (const body of bodies) {  // expand the variable on top of the stack, the leftmost symbol ends up on top
+      PDA[loop].out.push(PDA_edge(loop, loop, consts.EMPTY_SYMBOL, stack_str([variable]), stack_str(body)));
+    }
+  }
+  for (const terminal of terminals(grammar)) {  // match the input against the top of the stack
+    PDA[loop].out.push(PDA_edge(loop, loop, terminal, terminal, consts.EMPTY_SYMBOL));
+  }
+  PDA[loop].out.push(PDA_edge(loop, accept, consts.EMPTY_SYMBOL, consts.STACK_BOTTOM, consts.EMPTY_SYMBOL));
+  spread_loops(PDA[loop].out.filter(edge => edge.to === loop));
+  return PDA;
+}
+
+/**
+ * turn a PDA into an equivalent one with a single accept state, reached only with an empty stack, where every
+ * transition either pushes or pops exactly one symbol
+ * @param {Object} graph - graph of the PDA
+ * @param {Object} settings - the acceptance mode and initial stack symbol, see consts.DEFAULT_SETTINGS
+ * @returns {Object|null} { start, accept, states, transitions } where each transition is { from, to, input, push, pop }
+ *                        with input '' for ε and exactly one of push and pop set, null if the PDA has no start state
+ */
+export function normalize_PDA(graph, settings=consts.DEFAULT_SETTINGS) {
+  const original_start = compute.find_start(graph);
+  if (original_start === null) {
+    return null;
+  }
+  const states = new Set(Object.keys(graph));
+  let counter = 0;
+  const fresh_state = prefix => {
+    let name;
+    do {
+      name = `${prefix}${counter++}`;
+    } while (states.has(name));
+    states.add(name);
+    return name;
+  };
+  const stack_symbols = new Set([...settings.initial_stack]);
+  for (const vertex of Object.values(graph)) {
+    for (const edge of vertex.out) {
+      [...edge.pop_symbol, ...edge.push_symbol].forEach(symbol => stack_symbols.add(symbol));
+    }
+  }
+  stack_symbols.delete(consts.EMPTY_SYMBOL);
+  // the bottom marker tells when the original stack is empty, the dummy symbol turns a no-op into a push and a pop
+  const [bottom, dummy] = stack_symbols.has(consts.STACK_BOTTOM) ?
+    unused_characters(stack_symbols, 2) : [consts.STACK_BOTTOM, ...unused_characters(stack_symbols, 1)];
+
+  const transitions = [];
+  const add_transition = (from, to, input, pop_str, push_str) => {
+    const ops = [...pop_str.replaceAll(consts.EMPTY_SYMBOL, '')].map(symbol => ({ pop: symbol }));
+    // the leftmost symbol of a push string ends up on top, so it is pushed last
+    ops.push(...[...push_str.replaceAll(consts.EMPTY_SYMBOL, '')].reverse().map(symbol => ({ push: symbol })));
+    if (!ops.length) {
+      ops.push({ push: dummy }, { pop: dummy });
+    }
+    for (const [i, op] of ops.entries()) {  // chain the operations through fresh states
+      const next = (i === ops.length-1) ? to : fresh_state('r');
+      transitions.push({ from, to: next, input: (i === 0) ? input : '', ...op });
+      from = next;
+    }
+  };
+
+  const start = fresh_state('s'), accept = fresh_state('f');
+  add_transition(start, original_start, '', '', settings.initial_stack + bottom);
+  for (const vertex of Object.values(graph)) {
+    for (const edge of vertex.out) {
+      const input = (edge.transition === consts.EMPTY_SYMBOL) ? '' : edge.transition;
+      add_transition(edge.from, edge.to, input, edge.pop_symbol, edge.push_symbol);
+    }
+  }
+  const finals = Object.values(graph).filter(vertex => vertex.is_final).map(vertex => vertex.name);
+  if (settings.acceptance === consts.PDA_ACCEPTANCE.empty_stack) {  // any state with an empty original stack
+    Object.keys(graph).forEach(v => add_transition(v, accept, '', bottom, ''));
+  } else if (settings.acceptance === consts.PDA_ACCEPTANCE.both) {
+    finals.forEach(v => add_transition(v, accept, '', bottom, ''));
+  } else {  // from a final state, empty the stack before accepting
+    const drain = fresh_state('d');
+    finals.forEach(v => add_transition(v, drain, '', '', ''));
+    stack_symbols.forEach(symbol => add_transition(drain, drain, '', symbol, ''));
+    add_transition(drain, accept, '', bottom, '');
+  }
+  return { start, accept, states: [...states], transitions };
+}
+
+/**
+ * convert a PDA to an equivalent grammar with the triple construction: the variable <p,q> generates exactly the
+ * strings that take the normalized PDA from p with some stack to q with the same stack
+ * @param {Object} graph - graph of the PDA
+ * @param {Object} settings - the acceptance mode and initial stack symbol, see consts.DEFAULT_SETTINGS
+ * @returns {Object|null} { start, productions } as returned by parse, null if the PDA has no start state; an error
+ *                        is thrown if an input symbol would read as a variable, like an uppercase letter
+ */
+export function PDA_to_CFG(graph, settings=consts.DEFAULT_SETTINGS) {
+  const variable_like = [...compute.compute_alphabet(graph)].filter(is_variable).sort();
+  if (variable_like.length) {
+    throw new Error(`The input symbols ${variable_like.join(', ')} would read as variables in the grammar, ` +
+      'use lowercase letters, digits or other symbols as input');
+  }
+  const normalized = normalize_PDA(graph, settings);
+  if (!normalized) {
+    return null;
+  }
+  const { start, accept, states, transitions } = normalized;
+  const A = (p, q) => `<${p},${q}>`;
+  const productions = {};
+  productions[A(start, accept)] = [];  // the start variable goes first
+  for (const p of states) {
+    add_production(productions, A(p, p), []);
+  }
+  for (const p of states) {
+    for (const q of states) {
+      // splitting at p or q itself would only add <p,p> or <q,q>, which derive nothing but ε
+      for (const r of states.filter(r => r !== p && r !== q)) {
+        add_production(productions, A(p, q), [A(p, r), A(r, q)]);
+      }
+    }
+  }
+  for (const { from: p, to: r, input: a, push } of transitions.filter(t => t.push !== undefined)) {
+    for (const { from: s, to: q, input: b } of transitions.filter(t => t.pop === push)) {
+      add_production(productions, A(p, q), [a, A(r, s), b].filter(symbol => symbol));
+    }
+  }
+  return { start: A(start, accept), productions };
+}
+
+/**
+ * remove the variables that generate no string of terminals, then the ones the start variable cannot reach
+ * @param {Object} grammar - { start, productions } as returned by parse
+ * @returns {Object} the grammar without useless variables, the start variable has no productions if the
+ *                   language is empty
+ */
+export function remove_useless(grammar) {
+  const generating = new Set();
+  let changed = true;
+  while (changed) {  // a variable generates if one of its bodies consists of terminals and generating variables
+    changed = false;
+    for (const [variable, bodies] of Object.entries(grammar.productions)) {
+      if (!generating.has(variable) &&
+          bodies.some(body => body.every(symbol => !is_variable(symbol) || generating.has(symbol)))) {
+        generating.add(variable);
+        changed = true;
+      }
+    }
+  }
+  const useful_body = body => body.every(symbol => !is_variable(symbol) || generating.has(symbol));
+  const reachable = new Set([grammar.start]);
+  const stack = [grammar.start];
+  while (stack.length) {
+    const variable = stack.pop();
+    for (const body of (grammar.productions[variable] ?? []).filter(useful_body)) {
+      for (const symbol of body.filter(is_variable)) {
+        if (!reachable.has(symbol)) {
+          reachable.add(symbol);
+          stack.push(symbol);
+        }
+      }
+    }
+  }
+  const productions = { [grammar.start]: [] };
+  for (const [variable, bodies] of Object.entries(grammar.productions)) {
+    if (reachable.has(variable) && generating.has(variable)) {
+      productions[variable] = bodies.filter(useful_body);
+    }
+  }
+  return { start: grammar.start, productions };
+}
+
+/**
+ * name a new variable after an existing one
+ * @param {Set<string>} taken - the variables already in use, the new one is added to it
+ * @param {string} base - the name to start from, e.g. S or <p,q>
+ * @returns {string} base with the smallest number appended that gives a free name, e.g. S0 or <p,q0>
+ */
+function fresh_variable(taken, base) {
+  const numbered = i => /^<.*>$/.test(base) ? `${base.slice(0, -1)}${i}>` : `${base}${i}`;
+  let i = 0;
+  while (taken.has(numbered(i))) {
+    ++i;
+  }
+  taken.add(numbered(i));
+  return numbered(i);
+}
+
+/**
+ * add a new start variable that never appears on the right hand side of a production
+ * @param {Object} grammar - { start, productions } as returned by parse
+ * @returns {Object} the equivalent grammar with start variable S0 → S
+ */
+function add_start_variable(grammar) {
+  const start = fresh_variable(variables(grammar), grammar.start);
+  return { start, productions: { [start]: [[grammar.start]], ...grammar.productions } };
+}
+
+/**
+ * remove every ε-production other than the one of the start variable
+ * @param {Object} grammar - { start, productions } with a start variable that appears on no right hand side
+ * @returns {Object} the equivalent grammar, where a production is added for each way to leave out nullable variables
+ */
+function remove_epsilon_productions(grammar) {
+  const nullable = new Set();
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (const [variable, bodies] of Object.entries(grammar.productions)) {
+      if (!nullable.has(variable) && bodies.some(body => body.every(symbol => nullable.has(symbol)))) {
+        nullable.add(variable);
+        changed = true;
+      }
+    }
+  }
+  const productions = {};
+  for (const [variable, bodies] of Object.entries(grammar.productions)) {
+    productions[variable] = [];
+    for (const body of bodies) {
+      let choices = [[]];  // every way to keep or leave out each nullable occurrence
+      for (const symbol of body) {
+        choices = choices.flatMap(choice => nullable.has(symbol) ? [[...choice, symbol], choice] : [[...choice, symbol]]);
+      }
+      choices.filter(choice => choice.length).forEach(choice => add_production(productions, variable, choice));
+    }
+  }
+  if (nullable.has(grammar.start)) {
+    add_production(productions, grammar.start, []);
+  }
+  return { start: grammar.start, productions };
+}
+
+/**
+ * remove every production of the form A → B
+ * @param {Object} grammar - { start, productions } as returned by parse
+ * @returns {Object} the equivalent grammar, where A gets the other productions of every B it reaches by unit
+ *                   productions
+ */
+function remove_unit_productions(grammar) {
+  const is_unit = body => body.length === 1 && is_variable(body[0]);
+  const productions = {};
+  for (const variable of Object.keys(grammar.productions)) {
+    productions[variable] = [];
+    const reached = new Set([variable]);
+    const stack = [variable];
+    while (stack.length) {
+      const current = stack.pop();
+      for (const body of grammar.productions[current] ?? []) {
+        if (!is_unit(body)) {
+          add_production(productions, variable, body);
+        } else if (!reached.has(body[0])) {
+          reached.add(body[0]);
+          stack.push(body[0]);
+        }
+      }
+    }
+  }
+  return { start: grammar.start, productions };
+}
+
+/**
+ * bring the remaining productions into the form A → BC or A → a
+ * @param {Object} grammar - { start, productions } without unit productions or ε-productions other than the start's
+ * @returns {Object} the equivalent grammar, where each terminal in a longer body is replaced by a variable <a> → a
+ *                   and bodies longer than two symbols are split into a chain of new variables
+ */
+function binarize(grammar) {
+  const taken = variables(grammar);
+  const productions = {};
+  const terminal_variables = {};
+  const tails = {};  // the variable deriving each tail of a long body, shared between bodies that end alike
+  const tail_variable = (tail, owner) => {
+    const key = tail.join('\0');
+    if (!tails[key]) {
+      tails[key] = fresh_variable(taken, owner);
+      productions[tails[key]] = [(tail.length > 2) ? [tail[0], tail_variable(tail.slice(1), owner)] : tail];
+    }
+    return tails[key];
+  };
+  const terminal_variable = terminal => {
+    if (!terminal_variables[terminal]) {
+      const name = `<${terminal}>`;
+      terminal_variables[terminal] = (is_variable(name) && !taken.has(name)) ? name : fresh_variable(taken, 'T');
+      taken.add(terminal_variables[terminal]);
+      productions[terminal_variables[terminal]] = [[terminal]];
+    }
+    return terminal_variables[terminal];
+  };
+  for (const [variable, bodies] of Object.entries(grammar.productions)) {
+    productions[variable] = [];
+    for (let body of bodies) {
+      if (body.length >= 2) {
+        body = body.map(symbol => is_variable(symbol) ? symbol : terminal_variable(symbol));
+      }
+      if (body.length > 2) {  // A → X1 X2 ... Xn becomes A → X1 A0 with A0 → X2 ... Xn
+        body = [body[0], tail_variable(body.slice(1), variable)];
+      }
+      add_production(productions, variable, body);
+    }
+  }
+  return { start: grammar.start, productions };
+}
+
+/**
+ * convert a grammar to Chomsky normal form one step at a time
+ * @param {Object} grammar - { start, productions } as returned by parse
+ * @returns {Array<Object>} the steps, each { name, grammar } with the grammar after that step, the last in CNF
+ */
+export function CNF_steps(grammar) {
+  const steps = [{ name: 'Add a new start variable', grammar: add_start_variable(grammar) }];
+  steps.push({ name: 'Remove ε-productions', grammar: remove_epsilon_productions(steps.at(-1).grammar) });
+  steps.push({ name: 'Remove unit productions', grammar: remove_unit_productions(steps.at(-1).grammar) });
+  steps.push({ name: 'Split into A → BC and A → a', grammar: binarize(steps.at(-1).grammar) });
+  return steps;
+}
+
+/**
+ * convert a grammar to Chomsky normal form
+ * @param {Object} grammar - { start, productions } as returned by parse
+ * @returns {Object} the equivalent grammar where every production is A → BC, A → a, or S → ε for the start variable
+ */
+export function to_CNF(grammar) {
+  return CNF_steps(grammar).at(-1).grammar;
+}
+
+/**
+ * decide membership with the CYK algorithm
+ * @param {Object} CNF - { start, productions } in Chomsky normal form, see to_CNF
+ * @param {string} input - input string, each character a terminal
+ * @returns {Object} { accepted, table } where table[len-1][i] is the set of variables that derive the substring of
+ *                   length len starting at index i
+ */
+export function CYK(CNF, input) {
+  const n = input.length;
+  const table = [];
+  for (let len = 1; len <= n; ++len) {
+    const row = [];
+    for (let i = 0; i+len <= n; ++i) {
+      const cell = new Set();
+      for (const [variable, bodies] of Object.entries(CNF.productions)) {
+        const derives = body => (len === 1) ? (body.length === 1 && body[0] === input[i]) :
+          body.length === 2 && table.slice(0, len-1).some((split_row, k) =>  // the left part has length k+1
+            split_row[i].has(body[0]) && table[len-k-2][i+k+1].has(body[1]));
+        if (bodies.some(derives)) {
+          cell.add(variable);
+        }
+      }
+      row.push(cell);
+    }
+    table.push(row);
+  }
+  const accepted = n ? table[n-1][0].has(CNF.start) : (CNF.productions[CNF.start] ?? []).some(body => !body.length);
+  return { accepted, table };
+}
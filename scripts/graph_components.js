@@ -1,7 +1,7 @@
 /** @module graph_components */
 
 import * as consts from './consts.js';
-import { is_Mealy, is_Moore, is_Turing } from './menus.js';
+import { is_Mealy, is_Moore, is_Turing, is_MultiTuring, is_TwoWay, num_tapes } from './menus.js';
 
 /**
  * making a new vertex
@@ -31,18 +31,31 @@ export function make_vertex(name, x, y, r, is_start, is_final, out, moore_output
 
 /**
  * Check which user interface we are on and return the appropriate empty symbol
- * @returns {string} ☐ if dealing with Turing machine and ε otherwise
+ * @returns {string} ☐ if dealing with Turing machine (one per tape), a default symbol for machines that have no ε,
+ *                   and ε otherwise
  */
 export function get_empty_symbol() {
   if (is_Turing()) {
     return consts.EMPTY_TAPE;
+  } else if (is_MultiTuring()) {
+    return consts.EMPTY_TAPE.repeat(num_tapes());
   } else if(is_Moore() || is_Mealy()) {
     return consts.DEFAULT_MOORE_MEALY_TRANSITION;
+  } else if (is_TwoWay()) {
+    return consts.DEFAULT_TWO_WAY_TRANSITION;
   } else {
     return consts.EMPTY_SYMBOL;
   }
 }
 
+/**
+ * Check which user interface we are on and return the appropriate head movement
+ * @returns {string} R for every tape of a multi-tape Turing machine and R otherwise
+ */
+export function get_default_move() {
+  return is_MultiTuring() ? consts.RIGHT.repeat(num_tapes()) : consts.RIGHT;
+}
+
 /**
  * making a new edge
  * @param {string} from - from vertex
@@ -54,7 +67,7 @@ export function get_empty_symbol() {
  * @param {float} angle2 - end angle for self loop
  * @param {string} pop_symbol - the read symbol
  * @param {string} push_symbol - the write symbol
- * @param {string} move - whether move left of right
+ * @param {string} move - whether move left of right, one per tape for multi-tape Turing machines
  * @param {string} mealy_output - output for a Mealy machine
  * @returns {Object} the edge as a json object
  */
@@ -74,7 +87,7 @@ export function make_edge(from, to, transition, a1, a2, angle1, angle2, pop_symb
     angle2: angle2,
     pop_symbol: pop_symbol ? pop_symbol : get_empty_symbol(),
     push_symbol: push_symbol ? push_symbol : get_empty_symbol(),
-    move: move ? move : consts.RIGHT,
+    move: move ? move : get_default_move(),
     mealy_output: mealy_output ? mealy_output : consts.DEFAULT_MEALY_OUTPUT
   };
 }
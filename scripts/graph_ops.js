@@ -163,6 +163,50 @@ export function validate_edge(graph, edge) {
   return true;
 }
 
+/**
+ * check that an edge of a multi-tape Turing machine reads, writes and moves exactly once per tape
+ * @param {Object} edge - the edge to validate
+ * @returns {boolean} true iff edge valid
+ */
+function validate_multi_tape_edge(edge) {
+  const num_tapes = menus.num_tapes();
+  if (edge.transition.length !== num_tapes || edge.push_symbol.length !== num_tapes ||
+      edge.move.length !== num_tapes) {
+    alert(`read, write and move need exactly ${num_tapes} symbols each, one per tape`);
+    return false;
+  }
+  if (![...edge.move].every(move => move === consts.LEFT || move === consts.RIGHT || move === consts.STAY)) {
+    alert(`each move must be ${consts.LEFT}, ${consts.RIGHT} or ${consts.STAY}`);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * check that an edge of a two-way automaton reads a symbol, turning the keys typed for end-markers into the markers
+ * @param {Object} edge - the edge to validate, changed in place
+ * @returns {boolean} true iff edge valid
+ */
+function validate_two_way_edge(edge) {
+  edge.transition = consts.END_MARKER_KEYS[edge.transition] ?? edge.transition;
+  if (edge.transition === consts.EMPTY_SYMBOL) {
+    alert(`a two-way automaton reads a symbol on every move, type ${Object.keys(consts.END_MARKER_KEYS).join(' or ')}` +
+      ` for the end-markers ${Object.values(consts.END_MARKER_KEYS).join(' and ')}`);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * clean up the string of stack symbols a PDA edge pops or pushes
+ * @param {string} symbols - the symbols as typed by the user
+ * @returns {string} the symbols without spaces or ε, and ε if nothing is left
+ */
+function stack_string(symbols) {
+  const stripped = symbols.replaceAll(' ', '').replaceAll(consts.EMPTY_SYMBOL, '');
+  return stripped ? stripped : consts.EMPTY_SYMBOL;
+}
+
 /**
  * creates an edge between two vertices and draw it on the screen
  * @param {Object} graph - the graph in which we are creating a new edge
@@ -216,6 +260,16 @@ export function rename_edge(graph, edge, new_transition, new_pop, new_push, new_
     mealy_output: new_mealy_output ? new_mealy_output : graph_components.get_empty_symbol()
   };
   
+  if (menus.is_MultiTuring() && !validate_multi_tape_edge(new_edge)) {
+    return;
+  }
+  if (menus.is_TwoWay() && !validate_two_way_edge(new_edge)) {
+    return;
+  }
+  if (menus.is_PDA()) {  // pop and push whole strings, where ε only ever stands for the empty one
+    new_edge.pop_symbol = stack_string(new_edge.pop_symbol);
+    new_edge.push_symbol = stack_string(new_edge.push_symbol);
+  }
   if (compute.edge_has_equiv_edge_in_graph(graph, new_edge)) {  // new edge clashes with old
     alert('an equivalent edge already exists');
     return;
@@ -242,12 +296,13 @@ function combine_state_labels(states) {
 /**
  * Converts a graph of an NFA to a DFA
  * @param {Object} NFA - graph of an NFA to be converted to DFA
+ * @param {string} extra_symbols - symbols the DFA must have transitions on besides those used by the NFA
  * @returns {Object} - graph of a DFA equivalent to the NFA
  */
-export function NFA_to_DFA(NFA) {
+export function NFA_to_DFA(NFA, extra_symbols) {
   //TODO if (is already an DFA) return;
   // initialize graph and make trap state
-  const alphabet = compute.compute_alphabet(NFA); // these will be all transitions symbols
+  const alphabet = compute.compute_alphabet(NFA, extra_symbols); // these will be all transitions symbols
   let vertex_position = [200, 200];  // initial position of a new state
   const DFA = {};  // new graph to populate
   DFA[consts.TRAP_STATE] = graph_components.make_vertex(
@@ -291,7 +346,450 @@ export function NFA_to_DFA(NFA) {
   
   // clean up
   if (!trap_state_used) {
-    delete_vertex(DFA, consts.TRAP_STATE);
+    delete DFA[consts.TRAP_STATE];  // nothing points to the trap state, so no edges to remove
+  }
+  return DFA;
+}
+
+/**
+ * Complements an NFA by determinizing it over the alphabet and then swapping final and non-final states
+ * @param {Object} NFA - graph of an NFA to be complemented
+ * @param {string} extra_symbols - symbols in the alphabet besides those used by the NFA
+ * @returns {Object} graph of a DFA accepting exactly the strings the NFA rejects
+ */
+export function complement(NFA, extra_symbols) {
+  const DFA = NFA_to_DFA(NFA, extra_symbols);  // complete, so every string ends up in exactly one state
+  for (const vertex of Object.values(DFA)) {
+    vertex.is_final = !vertex.is_final;
+  }
+  return DFA;
+}
+
+/**
+ * Removes the ε-transitions of an NFA, keeping the states where they are
+ * a state gets an edge on every symbol some state in its ε-closure has an edge on, and becomes final iff
+ * its closure contains a final state
+ * @param {Object} NFA - graph of an NFA, left untouched
+ * @returns {Object} graph of an equivalent NFA without ε-transitions
+ */
+export function remove_epsilon(NFA) {
+  const epsilon_free = {};
+  for (const [v, vertex] of Object.entries(NFA)) {
+    const v_closure = compute.closure(NFA, new Set([v]));
+    epsilon_free[v] = graph_components.make_vertex(v, vertex.x, vertex.y, vertex.r,
+      vertex.is_start, compute.contains_final(NFA, v_closure), undefined, vertex.moore_output);
+    const out = epsilon_free[v].out;
+    for (const u of v_closure) {
+      for (const edge of NFA[u].out) {
+        if (edge.transition === consts.EMPTY_SYMBOL ||
+            out.some(e => e.to === edge.to && e.transition === edge.transition)) {
+          continue;  // ε-transitions are what we get rid of, and the rest might already be there
+        }
+        // keep the shape of the edges that were already there
+        out.push((u === v) ? {...edge} : graph_components.make_edge(v, edge.to, edge.transition));
+      }
+    }
+  }
+  return epsilon_free;
+}
+
+/**
+ * Reverses an NFA: every edge is flipped, the old start becomes the only final state, and a new start state
+ * has ε-transitions to the old final states
+ * @param {Object} NFA - graph of an NFA, left untouched
+ * @returns {Object} graph of an NFA accepting the reverse of every string the NFA accepts
+ */
+export function reverse(NFA) {
+  const reversed = {};
+  for (const [v, vertex] of Object.entries(NFA)) {
+    reversed[v] = graph_components.make_vertex(v, vertex.x, vertex.y, vertex.r,
+      false, vertex.is_start, undefined, vertex.moore_output);
+  }
+  for (const vertex of Object.values(NFA)) {
+    for (const edge of vertex.out) {
+      // swapping the ends flips the basis of the control point, so mirror the coordinates to keep the curve
+      reversed[edge.to].out.push({...edge, from: edge.to, to: edge.from,
+        a1: 1-edge.a1, a2: -edge.a2, angle1: edge.angle2, angle2: edge.angle1});
+    }
+  }
+
+  const finals = Object.values(NFA).filter(vertex => vertex.is_final);
+  const start = find_unused_name(reversed);
+  const r = Object.values(NFA)[0].r;
+  const x = Math.min(...Object.values(NFA).map(vertex => vertex.x)) - 3*r;
+  const y = finals.length ? finals.reduce((acc, vertex) => acc + vertex.y, 0)/finals.length : Object.values(NFA)[0].y;
+  reversed[start] = graph_components.make_vertex(start, x, y, r, true, false);
+  for (const vertex of finals) {
+    reversed[start].out.push(graph_components.make_edge(start, vertex.name, consts.EMPTY_SYMBOL));
+  }
+  return reversed;
+}
+
+/**
+ * place the vertices of a freshly built graph on a grid, row by row in insertion order
+ * @param {Object} graph - the graph to lay out (in place)
+ * @returns {Object} the same graph, for chaining
+ */
+export function auto_layout(graph) {
+  const vertices = Object.values(graph);
+  const columns = Math.ceil(Math.sqrt(vertices.length));
+  const spacing = 3*consts.DEFAULT_VERTEX_RADIUS;
+  for (const [i, vertex] of vertices.entries()) {
+    vertex.x = 200 + spacing*(i % columns);
+    vertex.y = 200 + spacing*Math.floor(i / columns);
+  }
+  return graph;
+}
+
+/**
+ * builds the product DFA of two NFAs, determinizing both on the fly
+ * @param {Object} graph1 - the first NFA
+ * @param {Object} graph2 - the second NFA
+ * @param {Function} final_rule - (is_final1, is_final2) => whether the product state is final
+ * @returns {Object} graph of the product DFA, only containing reachable states
+ */
+function product_DFA(graph1, graph2, final_rule) {
+  const alphabet = [...new Set([...compute.compute_alphabet(graph1), ...compute.compute_alphabet(graph2)])].sort();
+  const label = (states1, states2) => `(${combine_state_labels(states1)},${combine_state_labels(states2)})`;
+  const DFA = {}, q = new Queue();
+  const add_state = (states1, states2, is_start) => {
+    const name = label(states1, states2);
+    const is_final = final_rule(compute.contains_final(graph1, states1), compute.contains_final(graph2, states2));
+    DFA[name] = graph_components.make_vertex(name, 0, 0, consts.DEFAULT_VERTEX_RADIUS, is_start, is_final);
+    q.enqueue([states1, states2]);
+  };
+
+  add_state(compute.start_closure(graph1), compute.start_closure(graph2), true);
+  while (q.length) {
+    const [states1, states2] = q.dequeue();
+    const name = label(states1, states2);
+    for (const letter of alphabet) {
+      const next1 = compute.NFA_step(graph1, states1, letter), next2 = compute.NFA_step(graph2, states2, letter);
+      const next_name = label(next1, next2);
+      if (!(next_name in DFA)) {
+        add_state(next1, next2, false);
+      }
+      DFA[name].out.push(graph_components.make_edge(name, next_name, letter));
+    }
+  }
+  return auto_layout(DFA);
+}
+
+/**
+ * the product DFA accepting strings accepted by both machines
+ * @param {Object} graph1 - the first NFA
+ * @param {Object} graph2 - the second NFA
+ * @returns {Object} graph of a DFA for L(graph1) ∩ L(graph2)
+ */
+export function intersection(graph1, graph2) {
+  return product_DFA(graph1, graph2, (final1, final2) => final1 && final2);
+}
+
+/**
+ * the product DFA accepting strings accepted by the first machine but not the second
+ * @param {Object} graph1 - the first NFA
+ * @param {Object} graph2 - the second NFA
+ * @returns {Object} graph of a DFA for L(graph1) \ L(graph2)
+ */
+export function difference(graph1, graph2) {
+  return product_DFA(graph1, graph2, (final1, final2) => final1 && !final2);
+}
+
+/**
+ * the product DFA accepting strings accepted by exactly one of the machines
+ * @param {Object} graph1 - the first NFA
+ * @param {Object} graph2 - the second NFA
+ * @returns {Object} graph of a DFA for L(graph1) △ L(graph2)
+ */
+export function symmetric_difference(graph1, graph2) {
+  return product_DFA(graph1, graph2, (final1, final2) => final1 !== final2);
+}
+
+/**
+ * checks if the graph is a DFA without alerting the user, i.e. no ε-transitions and at most one edge per symbol
+ * @param {Object} graph - the graph to check
+ * @returns {boolean} true iff the graph is deterministic (possibly with missing transitions)
+ */
+export function is_deterministic(graph) {
+  for (const vertex of Object.values(graph)) {
+    const seen = new Set();
+    for (const edge of vertex.out) {
+      if (edge.transition === consts.EMPTY_SYMBOL || seen.has(edge.transition)) {
+        return false;
+      }
+      seen.add(edge.transition);
+    }
+  }
+  return true;
+}
+
+/**
+ * makes a copy of a deterministic graph where every missing transition is sent to a trap state
+ * @param {Object} graph - a deterministic graph
+ * @param {Set<string>} alphabet - the symbols each state must have a transition on
+ * @returns {Object} a complete DFA equivalent to the graph
+ */
+function complete_DFA(graph, alphabet) {
+  const DFA = structuredClone(graph);
+  const trap = graph_components.make_vertex(consts.TRAP_STATE, 200, 200, consts.DEFAULT_VERTEX_RADIUS);
+  for (const letter of alphabet) {
+    trap.out.push(graph_components.make_edge(consts.TRAP_STATE, consts.TRAP_STATE, letter));
+  }
+  let trap_state_used = false;
+  for (const [v, vertex] of Object.entries(DFA)) {
+    const covered = new Set(vertex.out.map(edge => edge.transition));
+    for (const letter of alphabet) {
+      if (!covered.has(letter)) {
+        vertex.out.push(graph_components.make_edge(v, consts.TRAP_STATE, letter));
+        trap_state_used = true;
+      }
+    }
+  }
+  if (trap_state_used) {
+    DFA[consts.TRAP_STATE] = trap;
   }
   return DFA;
 }
+
+/**
+ * collect the states reachable from the start state
+ * @param {Object} graph - the graph to search
+ * @returns {Set<string>} names of all vertices reachable from the start
+ */
+export function reachable_states(graph) {
+  const start = compute.find_start(graph);
+  const visited = new Set(start === null ? [] : [start]);
+  for (const v of visited) {  // sets are interated in insertion order, so is BFS by default
+    for (const edge of graph[v].out) {
+      visited.add(edge.to);
+    }
+  }
+  return visited;
+}
+
+/**
+ * tabulate the transitions of a deterministic graph
+ * @param {Object} graph - a deterministic graph
+ * @param {Array<string>} states - the states to tabulate
+ * @returns {Object} delta[v][letter] is the unique edge out of v on letter, undefined if there is none
+ */
+function transition_table(graph, states) {
+  const delta = {};
+  for (const v of states) {
+    delta[v] = {};
+    for (const edge of graph[v].out) {
+      delta[v][edge.transition] = edge;
+    }
+  }
+  return delta;
+}
+
+/**
+ * Moore's partition refinement, splitting blocks until the states of each block agree on the block every letter
+ * leads to, a missing transition counting as a block of its own
+ * @param {Array<string>} states - the states to partition
+ * @param {Array<string>} alphabet - the input symbols
+ * @param {Object} delta - the transition table, see transition_table
+ * @param {Function} initial_signature - (v) => string, states are first split on it
+ * @returns {Array<Array<string>>} the blocks of equivalent states, ordered by their first member in states
+ */
+function refine_partition(states, alphabet, delta, initial_signature) {
+  const block_ids = (signatures) => {
+    const signature_to_block = new Map(), block_of = {};
+    for (const v of states) {
+      if (!signature_to_block.has(signatures[v])) {
+        signature_to_block.set(signatures[v], signature_to_block.size);
+      }
+      block_of[v] = signature_to_block.get(signatures[v]);
+    }
+    return [block_of, signature_to_block.size];
+  };
+
+  let [block_of, num_blocks] = block_ids(Object.fromEntries(states.map(v => [v, initial_signature(v)])));
+  for (;;) {
+    const signatures = {};
+    for (const v of states) {
+      signatures[v] = JSON.stringify([block_of[v], ...alphabet.map(letter => block_of[delta[v][letter]?.to])]);
+    }
+    const [new_block_of, new_num_blocks] = block_ids(signatures);
+    block_of = new_block_of;
+    if (new_num_blocks === num_blocks) {  // stable partition
+      break;
+    }
+    num_blocks = new_num_blocks;
+  }
+
+  const blocks = Array.from({ length: num_blocks }, () => []);
+  for (const v of states) {
+    blocks[block_of[v]].push(v);
+  }
+  return blocks;
+}
+
+/**
+ * name each block after its members, the trap state keeping its name
+ * @param {Array<Array<string>>} blocks - the blocks of equivalent states
+ * @returns {Object} maps every state to the name of its block
+ */
+function name_blocks(blocks) {
+  const block_name = {};
+  for (const members of blocks) {
+    let name = members.length === 1 ? members[0] : combine_state_labels(members);
+    if (members.includes(consts.TRAP_STATE)) {
+      name = consts.TRAP_STATE;
+    }
+    for (const v of members) {
+      block_name[v] = name;
+    }
+  }
+  return block_name;
+}
+
+/**
+ * Minimizes a DFA with Moore's partition refinement, determinizing the graph first if it is an NFA
+ * @param {Object} NFA - graph of an NFA (or DFA) to be minimized
+ * @returns {Object} graph of the minimal DFA, trap state included iff some string is rejected for good
+ */
+export function minimize_DFA(NFA) {
+  const alphabet = [...compute.compute_alphabet(NFA)].sort();
+  const DFA = is_deterministic(NFA) ? complete_DFA(NFA, alphabet) : NFA_to_DFA(NFA);
+  const states = [...reachable_states(DFA)];  // unreachable states are dropped right away
+  const delta = transition_table(DFA, states);
+
+  // start from the accept/reject split, each block is placed where its first member was
+  const blocks = refine_partition(states, alphabet, delta, v => String(DFA[v].is_final));
+  const block_name = name_blocks(blocks);
+  const min_DFA = {};
+  for (const members of blocks) {
+    const rep = DFA[members[0]], name = block_name[members[0]];
+    min_DFA[name] = graph_components.make_vertex(name, rep.x, rep.y, rep.r,
+      members.some(v => DFA[v].is_start), rep.is_final);
+  }
+  for (const members of blocks) {
+    const name = block_name[members[0]];
+    for (const letter of alphabet) {
+      min_DFA[name].out.push(graph_components.make_edge(name, block_name[delta[members[0]][letter].to], letter));
+    }
+  }
+  return min_DFA;
+}
+
+/**
+ * Minimizes a deterministic Mealy or Moore machine with partition refinement, where states are first split on what
+ * they output, unreachable states are dropped and missing transitions stay missing
+ * @param {Object} graph - graph of the machine, left untouched
+ * @param {Function} output_signature - (v, delta) => string, states with different signatures are never merged
+ * @returns {Object} graph of the minimal machine
+ */
+function minimize_transducer(graph, output_signature) {
+  if (!is_deterministic(graph)) {
+    throw new Error('Only a deterministic machine can be minimized, each state needs at most one edge per symbol');
+  }
+  const alphabet = [...compute.compute_alphabet(graph)].sort();
+  const states = [...reachable_states(graph)];
+  const delta = transition_table(graph, states);
+  const blocks = refine_partition(states, alphabet, delta, v => output_signature(v, delta));
+  const block_name = name_blocks(blocks);
+  const min_graph = {};
+  for (const members of blocks) {
+    const rep = graph[members[0]], name = block_name[members[0]];
+    min_graph[name] = graph_components.make_vertex(name, rep.x, rep.y, rep.r,
+      members.some(v => graph[v].is_start), rep.is_final, undefined, rep.moore_output);
+  }
+  for (const members of blocks) {
+    const name = block_name[members[0]];
+    for (const letter of alphabet) {
+      const edge = delta[members[0]][letter];
+      if (edge) {
+        min_graph[name].out.push(graph_components.make_edge(name, block_name[edge.to], letter,
+          undefined, undefined, undefined, undefined, undefined, undefined, undefined, edge.mealy_output));
+      }
+    }
+  }
+  return min_graph;
+}
+
+/**
+ * Minimizes a deterministic Moore machine, merging states that output the same on every input
+ * @param {Object} Moore - graph of a Moore machine, left untouched
+ * @returns {Object} graph of the minimal Moore machine
+ */
+export function minimize_Moore(Moore) {
+  return minimize_transducer(Moore, v => Moore[v].moore_output);
+}
+
+/**
+ * Minimizes a deterministic Mealy machine, merging states that output the same on every input
+ * @param {Object} Mealy - graph of a Mealy machine, left untouched
+ * @returns {Object} graph of the minimal Mealy machine
+ */
+export function minimize_Mealy(Mealy) {
+  const alphabet = [...compute.compute_alphabet(Mealy)].sort();
+  return minimize_transducer(Mealy,
+    (v, delta) => JSON.stringify(alphabet.map(letter => delta[v][letter]?.mealy_output)));
+}
+
+/**
+ * Converts a Moore machine to a Mealy machine with the same states, where each edge outputs what its target state
+ * outputs in the Moore machine
+ * the output of the start state before any input is read has no counterpart, so the Mealy machine leaves it out
+ * @param {Object} Moore - graph of a Moore machine, left untouched
+ * @returns {Object} graph of the equivalent Mealy machine
+ */
+export function Moore_to_Mealy(Moore) {
+  const Mealy = structuredClone(Moore);
+  for (const vertex of Object.values(Mealy)) {
+    for (const edge of vertex.out) {
+      edge.mealy_output = Moore[edge.to].moore_output;
+    }
+  }
+  return Mealy;
+}
+
+/**
+ * Converts a Mealy machine to a Moore machine, where a state reached with different outputs is split into one copy
+ * per output, named like q1_0, stacked around where the state was
+ * the start state keeps the output of its first copy, which the Moore machine outputs before reading any input
+ * @param {Object} Mealy - graph of a Mealy machine, left untouched
+ * @returns {Object} graph of the equivalent Moore machine
+ */
+export function Mealy_to_Moore(Mealy) {
+  const outputs = {};  // the outputs each state is reached with, in order of appearance
+  for (const v of Object.keys(Mealy)) {
+    outputs[v] = [];
+  }
+  for (const vertex of Object.values(Mealy)) {
+    for (const edge of vertex.out) {
+      if (!outputs[edge.to].includes(edge.mealy_output)) {
+        outputs[edge.to].push(edge.mealy_output);
+      }
+    }
+  }
+  const copy_names = {};  // copy_names[v][output] is the state of the Moore machine
+  const Moore = {};
+  for (const [v, vertex] of Object.entries(Mealy)) {
+    const copy_outputs = outputs[v].length ? outputs[v] : [consts.DEFAULT_MOORE_OUTPUT];  // unreachable except start
+    copy_names[v] = {};
+    for (const [i, output] of copy_outputs.entries()) {
+      let name = (copy_outputs.length === 1) ? v : `${v}_${output}`;
+      while (name !== v && (name in Mealy || name in Moore)) {  // do not clash with the other states
+        name += '\'';
+      }
+      copy_names[v][output] = name;
+      const y = vertex.y + (i - (copy_outputs.length-1)/2)*2.5*vertex.r;
+      Moore[name] = graph_components.make_vertex(name, vertex.x, y, vertex.r,
+        vertex.is_start && i === 0, vertex.is_final, undefined, output);
+    }
+  }
+  for (const vertex of Object.values(Mealy)) {
+    for (const edge of vertex.out) {
+      const keeps_shape = outputs[edge.from].length <= 1 && outputs[edge.to].length <= 1;  // neither end was split
+      for (const from of Object.values(copy_names[edge.from])) {
+        const to = copy_names[edge.to][edge.mealy_output];
+        Moore[from].out.push(keeps_shape ? {...edge, mealy_output: consts.DEFAULT_MEALY_OUTPUT} :
+          graph_components.make_edge(from, to, edge.transition));
+      }
+    }
+  }
+  return Moore;
+}
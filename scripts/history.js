@@ -19,19 +19,45 @@ export function set_history_keys(machine) {
   hist_tip_key = consts.HIST_TIP_KEYS[machine];
 }
 
+/** @returns {Object} the history entry of an empty graph */
+function empty_entry() {
+  return { graph: {}, settings: {...consts.DEFAULT_SETTINGS}, test_suite: '' };
+}
+
+/**
+ * history entries used to be bare graphs, wrap those up with the default settings and no test suite
+ * @param {Object} entry - a history entry as stored
+ * @returns {Object} the entry as { graph, settings, test_suite }
+ */
+function upgrade_entry(entry) {
+  const is_entry = 'graph' in entry && typeof entry.settings === 'object' && !('name' in entry.settings);
+  return is_entry ? entry : { ...empty_entry(), graph: entry };
+}
+
+/**
+ * write the history and its pointers to localstore
+ * @param {Array<Object>} history - array of history entries
+ */
+function write_history(history) {
+  localStorage.setItem(hist_key, JSON.stringify(history));
+  localStorage.setItem(hist_tip_key, hist_tip);
+  localStorage.setItem(hist_ptr_key, hist_ptr);
+}
+
 /**
  * get history array from localstore and parse
- * @returns {Array<Object>} an array of graphs
+ * @returns {Array<Object>} an array of entries { graph, settings, test_suite }, the graph with the settings and the
+ *                          test suite it was saved with
  */
 export function get_history() {
   if (!localStorage.getItem(hist_key)) {
-    hist_ptr = -1, hist_tip = -1;  // initialize ptrs
-    push_history({}, []);  // initialize history
+    hist_ptr = 0, hist_tip = 0;  // initialize ptrs
+    write_history([empty_entry()]);  // initialize history
   }
   // otherwise, already have history written to localstore
   hist_tip = localStorage.getItem(hist_tip_key);
   hist_ptr = localStorage.getItem(hist_ptr_key);
-  return JSON.parse(localStorage.getItem(hist_key));
+  return JSON.parse(localStorage.getItem(hist_key)).map(upgrade_entry);
 }
 
 /**
@@ -39,7 +65,7 @@ export function get_history() {
  * @returns {Object} the latest graph object
  */
 export function retrieve_latest_graph() {
-  return get_history().at(hist_ptr);
+  return get_history().at(hist_ptr).graph;
 }
 
 /**
@@ -57,19 +83,16 @@ function remove_ignores(graph) {
 
 /**
  * push the current state of the graph onto history
+ * the new entry keeps the settings and test suite of the entry we are at, unless they are changed along with the graph
  * @param {Object} graph - the graph you want to add to history
- * @param {Array<Object>} history - array of graphs, force rewrite
+ * @param {Object} changes - { settings, test_suite }, either or both, to save with the graph instead
  */
-export function push_history(graph, history = null) {
-  if (!history) {
-    history = get_history(); 
-  }
-  history[++hist_ptr] = remove_ignores(graph);
+export function push_history(graph, changes = {}) {
+  const history = get_history();
+  const entry = { ...history.at(hist_ptr), ...changes, graph: remove_ignores(graph) };
+  history[++hist_ptr] = entry;
   hist_tip = hist_ptr;  // we just pushed, so that is the new tip
-  const hist_str = JSON.stringify(history);
-  localStorage.setItem(hist_key, hist_str);
-  localStorage.setItem(hist_tip_key, hist_tip);
-  localStorage.setItem(hist_ptr_key, hist_ptr);
+  write_history(history);
 }
 
 /**
@@ -79,9 +102,9 @@ export function push_history(graph, history = null) {
 export function undo() {
   const history = get_history();
   if (hist_ptr <= 0) {
-    return history[hist_ptr]; 
+    return history[hist_ptr].graph; 
   }  // can't go backward
-  const graph = history[--hist_ptr];
+  const graph = history[--hist_ptr].graph;
   localStorage.setItem(hist_ptr_key, hist_ptr);
   return graph;
 }
@@ -93,9 +116,59 @@ export function undo() {
 export function redo() {
   const history = get_history();
   if (hist_ptr === hist_tip) {
-    return history[hist_ptr]; 
+    return history[hist_ptr].graph; 
   }  // can't go forward
-  const graph = history[++hist_ptr];
+  const graph = history[++hist_ptr].graph;
   localStorage.setItem(hist_ptr_key, hist_ptr);
   return graph;
 }
+
+/**
+ * get the test suite saved with the graph we are at in history
+ * @returns {string} the test suite as text, empty if none was saved
+ */
+export function get_test_suite() {
+  return get_history().at(hist_ptr).test_suite ?? '';
+}
+
+/**
+ * save the test suite with the graph we are at in history, replacing the one there since it is saved as it is typed
+ * @param {string} test_suite - the test suite as text
+ */
+export function save_test_suite(test_suite) {
+  const history = get_history();
+  history.at(hist_ptr).test_suite = test_suite;
+  write_history(history);
+}
+
+/**
+ * get the settings saved with the graph we are at in history
+ * @returns {Object} the settings, see consts.DEFAULT_SETTINGS for the fields
+ */
+export function get_settings() {
+  return { ...consts.DEFAULT_SETTINGS, ...get_history().at(hist_ptr).settings };
+}
+
+/**
+ * save new settings for the graph we are at, as a history entry of its own so it can be undone
+ * @param {Object} settings - the settings, see consts.DEFAULT_SETTINGS for the fields
+ */
+export function save_settings(settings) {
+  push_history(retrieve_latest_graph(), { settings });
+}
+
+/**
+ * get the grammar typed in the grammar editor
+ * @returns {string} the grammar as text, empty if none was saved
+ */
+export function get_grammar() {
+  return localStorage.getItem(consts.GRAMMAR_KEY) ?? '';
+}
+
+/**
+ * save the grammar typed in the grammar editor
+ * @param {string} grammar - the grammar as text
+ */
+export function save_grammar(grammar) {
+  localStorage.setItem(consts.GRAMMAR_KEY, grammar);
+}
@@ -12,6 +12,8 @@ import * as util from './util.js';
 import * as ui_setup from './ui_setup.js';
 import * as regex from './regex.js';
 import * as latex from './latex.js';
+import * as test_suite from './test_suite.js';
+import * as grammar from './grammar.js';
 
 // if not in browser, don't run
 if (typeof document !== 'undefined') {
@@ -20,6 +22,7 @@ if (typeof document !== 'undefined') {
 }
 
 let graph = {};  // global graph
+let eliminated_NFA = null;  // the NFA on display before stepping through state elimination, kept out of history
 
 /** handles double click */
 function bind_double_click() {
@@ -221,6 +224,93 @@ function bind_context_menu() {
 }
 
 const computations = [];  // we want the computations to be persistent
+
+/**
+ * start running the machine on an input, as a transducer if the user asked Turing machines to report their tapes
+ * in grammar mode, decide membership in the language of the grammar in the editor instead
+ * @param {string} input - input string
+ * @param {boolean} interactive - whether to step through and highlight the computation
+ * @returns {Iterable} the computation as in compute.run_input
+ */
+function start_computation(input, interactive) {
+  if (menus.machine_type() === consts.MACHINE_TYPES.CFG) {
+    return run_CYK(input, interactive);
+  }
+  if (menus.is_TM_transducer()) {
+    return compute.run_TM_transducer(graph, menus.machine_type(), input, interactive, hist.get_settings());
+  }
+  return compute.run_input(graph, menus.machine_type(), input, interactive, hist.get_settings());
+}
+
+/**
+ * @param {int} steps - how many steps the machine took before giving up
+ * @param {Array<string>} configs - some of the configurations it gave up in, if not shown otherwise
+ * @param {int} more - how many configurations were left out of configs
+ * @returns {string} what to show under an input the machine did not halt on within its step limit
+ */
+function gave_up_message(steps, configs=[], more=0) {
+  const hint = 'raise the step limit to keep going';
+  if (!configs.length) {
+    return `Gave up after ${steps} steps; ${hint}`;
+  }
+  const num_open = configs.length + more;
+  const shown = `${configs.join('; ')}${more ? '; …' : ''}`;
+  return `Gave up after ${steps} steps with ${num_open} configuration${num_open === 1 ? '' : 's'} still open ` +
+    `(${shown}); ${hint}`;
+}
+
+/**
+ * show what a finished computation evaluated to on its input bar
+ * @param {HTMLElement} input_div - the input bar
+ * @param {boolean|string|Object} output - accept/reject, a gave up result, consts.INVALID_INPUT, an accepting lasso,
+ *                                         the output of a transducer, or a Turing transducer result
+ */
+export function display_result(input_div, output) {
+  if (menus.machine_type() === consts.MACHINE_TYPES.Moore || menus.machine_type() === consts.MACHINE_TYPES.Mealy) {
+    input_div.querySelector('.machine_output').textContent = `Output: ${output || consts.EMPTY_SYMBOL}`;
+  } else if (menus.is_TM_transducer()) {
+    const { accepted, halted, tapes, heads, steps } = output;
+    input_div.style.backgroundColor = accepted ? consts.ACCEPT_COLOR :
+      (halted ? consts.REJECT_COLOR : consts.GAVE_UP_COLOR);
+    const tape_texts = tapes.map((tape, t) => `${tape ? tape : consts.EMPTY_TAPE} @${heads[t]}`);
+    const summary = halted ? `${steps} steps` : gave_up_message(steps);
+    input_div.querySelector('.machine_output').textContent = `${tape_texts.join(' | ')} (${summary})`;
+  } else if (output === consts.INVALID_INPUT) {  // neither accepted nor rejected
+    input_div.querySelector('.machine_output').textContent =
+      `${consts.INVALID_INPUT}, write it as u(v) for u followed by v repeated forever`;
+  } else if (menus.is_Buchi() && output) {  // show the cycle that makes the run accept
+    input_div.style.backgroundColor = consts.ACCEPT_COLOR;
+    const states = output.cycle.map(([q]) => q);
+    drawing.highlight_states(graph, states);
+    drawing.highlight_edges(graph, output.cycle_edges);
+    input_div.querySelector('.machine_output').textContent =
+      `visits ${states[0]} infinitely often, looping ${states.join(` ${consts.ARROW_SYMBOL} `)}`;
+  } else if (compute.gave_up(output)) {  // not a rejection, the machine might still accept given more steps
+    input_div.style.backgroundColor = consts.GAVE_UP_COLOR;
+    input_div.querySelector('.machine_output').textContent =
+      gave_up_message(output.steps, output.configs, output.more);
+  } else {
+    input_div.style.backgroundColor = output ? consts.ACCEPT_COLOR : consts.REJECT_COLOR;
+  }
+}
+
+/**
+ * open the panel with the computation tree of the machine on an input
+ * @param {string} input - input string
+ */
+function show_computation_tree(input) {
+  if (!Object.keys(graph).length) {  // nothing to run
+    return;
+  }
+  const root = compute.computation_tree(graph, menus.machine_type(), input, hist.get_settings());
+  if (!root) {
+    alert('The machine has no start state');
+    return;
+  }
+  document.getElementById('computation_tree').hidden = false;
+  drawing.draw_computation_tree(document.getElementById('tree_drawing'), root);
+}
+
 /** binds each machine input to the run_input function */
 export function bind_run_input() {
   const input_divs = document.getElementsByClassName('machine_input');
@@ -228,17 +318,18 @@ export function bind_run_input() {
   const new_input = input_divs[new_input_idx];
   
   const textbox = new_input.querySelector('.machine_input_text');
+  const output_text = new_input.querySelector('.machine_output');
   const run_btn = new_input.querySelector('.run_btn');
   run_btn.addEventListener('click', () => {
     new_input.style.backgroundColor = consts.SECOND_BAR_COLOR;
+    output_text.textContent = '';
     drawing.highlight_states(graph, []);  // clear the highlighting
-    computations[new_input_idx] = compute.run_input(graph, menus.machine_type(), textbox.value);  // noninteractive
+    computations[new_input_idx] = start_computation(textbox.value, false);  // noninteractive
     // eslint-disable-next-line no-unused-vars
     const { value: output, _ } = computations[new_input_idx].next();  // second value always true when noninteractive
-    if(menus.machine_type() === consts.MACHINE_TYPES.Moore || menus.machine_type() === consts.MACHINE_TYPES.Mealy) {
-      window.setTimeout(() => alert(output), 0);  // alert after the color change
-    } else {
-      new_input.style.backgroundColor = output ? consts.ACCEPT_COLOR : consts.REJECT_COLOR;
+    display_result(new_input, output);
+    if (menus.is_Moore() || menus.is_Mealy()) {  // the step button draws the output as it goes
+      drawing.viz_transducer_output(output, 0);
     }
     computations[new_input_idx] = undefined;
   });
@@ -246,25 +337,26 @@ export function bind_run_input() {
   const step_btn = new_input.querySelector('.step_btn');
   step_btn.addEventListener('click', () => {
     new_input.style.backgroundColor = consts.SECOND_BAR_COLOR;
+    output_text.textContent = '';
     if (!computations[new_input_idx]) {
       // last param true for interactive computation
-      computations[new_input_idx] = compute.run_input(graph, menus.machine_type(), textbox.value, true);
+      computations[new_input_idx] = start_computation(textbox.value, true);
     }
     const { value: output, done } = computations[new_input_idx].next();
     if (done) {
-      if(menus.machine_type() === consts.MACHINE_TYPES.Moore || menus.machine_type() === consts.MACHINE_TYPES.Mealy) {
-        window.setTimeout(() => alert(output), 0);  // alert after the color change
-      } else {
-        new_input.style.backgroundColor = output ? consts.ACCEPT_COLOR : consts.REJECT_COLOR;
-      }
+      display_result(new_input, output);
       computations[new_input_idx] = undefined;
     }
   });
 
+  const tree_btn = new_input.querySelector('.tree_btn');
+  tree_btn.addEventListener('click', () => show_computation_tree(textbox.value));
+
   const reset_btn = new_input.querySelector('.reset_btn');
   reset_btn.addEventListener('click', () => {
     computations[new_input_idx] = undefined;
     new_input.style.backgroundColor = consts.SECOND_BAR_COLOR;
+    output_text.textContent = '';
     drawing.highlight_states(graph, []);  // clear the highlighting
   });
 }
@@ -282,6 +374,7 @@ function bind_undo_redo() {
       graph = hist.undo(); 
     }
     drawing.draw(graph);
+    display_saved_with_graph();  // the test suite and settings are undone along with the graph
   });
 }
 
@@ -318,18 +411,18 @@ function hash_change_handler() {
   if (window.location.hash.length > 1) {
     const graph_str = window.location.hash.slice(1);
     const select = document.getElementById('select_machine');
-    if (permalink.serialize(select.value, graph) === graph_str) {
+    if (permalink.serialize(select.value, graph, hist.get_settings()) === graph_str) {
       // debounce two types of events
       // 1. the permalink generation will trigger a hash change event, which we do not want to handle
       // 2. the user might have inputed the same graph string, so we prevent duplicate history by not hanlding
       return;
     }
 
-    let type;
-    [type, graph] = permalink.deserialize(graph_str);
+    let type, settings;
+    [type, graph, settings] = permalink.deserialize(graph_str);
     select.value = type;
     hist.set_history_keys(type);  // set the history keys to the correct machine type
-    hist.push_history(graph);     // save the graph to history
+    hist.push_history(graph, { settings, test_suite: '' });  // the settings came with it, the old tests did not
     menus.display_UI_for(type);   // change the UI elements manually
     refresh_graph();              // draw the graph
   }
@@ -344,7 +437,57 @@ function init_graph() {
 /** get the newest graph from history and draw it */
 function refresh_graph() {
   graph = hist.retrieve_latest_graph();
+  if (menus.is_MultiTuring() && Object.values(graph).some(vertex => vertex.out.length)) {
+    document.getElementById('num_tapes').value = compute.count_tapes(graph);  // new edges match the loaded machine
+  }
   drawing.draw(graph);
+  display_saved_with_graph();
+}
+
+/** show the test suite and settings saved with the graph we are at in history */
+function display_saved_with_graph() {
+  document.getElementById('test_suite_text').value = hist.get_test_suite();
+  display_settings();
+}
+
+/** show the settings saved with the current machine type in the settings dropdown */
+function display_settings() {
+  const settings = hist.get_settings();
+  document.getElementById('PDA_acceptance').value = settings.acceptance;
+  document.getElementById('initial_stack').value = settings.initial_stack;
+  const step_limit = document.getElementById('step_limit');
+  step_limit.value = settings.step_limit || '';
+  step_limit.placeholder = compute.step_limit(menus.machine_type());  // the default when left empty
+}
+
+/** save the per machine settings whenever the user changes them */
+function bind_machine_settings() {
+  const acceptance = document.getElementById('PDA_acceptance');
+  acceptance.addEventListener('change', () => hist.save_settings({...hist.get_settings(), acceptance: acceptance.value}));
+  const initial_stack = document.getElementById('initial_stack');
+  initial_stack.addEventListener('change', () => {
+    initial_stack.value = initial_stack.value.trim().replaceAll(consts.EMPTY_SYMBOL, '');  // ε is never on the stack
+    hist.save_settings({...hist.get_settings(), initial_stack: initial_stack.value});
+  });
+  const step_limit = document.getElementById('step_limit');
+  step_limit.addEventListener('change', () => {
+    const limit = parseInt(step_limit.value) > 0 ? parseInt(step_limit.value) : 0;  // 0 for the default
+    step_limit.value = limit || '';
+    hist.save_settings({...hist.get_settings(), step_limit: limit});
+  });
+}
+
+/**
+ * switch to another machine type as if the user picked it, e.g. after converting to a machine of that type
+ * @param {string} type - the machine type to switch to
+ */
+function switch_machine(type) {
+  document.getElementById('select_machine').value = type;
+  hist.set_history_keys(type);
+  refresh_graph();  // switching graph
+  menus.display_UI_for(type);
+  computations.fill(undefined);  // the partial computations belong to the old machine
+  document.getElementById('computation_tree').hidden = true;
 }
 
 /** handle switching machine type event */
@@ -352,16 +495,275 @@ function bind_switch_machine() {
   const select = document.getElementById('select_machine');
   select.value = consts.DEFAULT_MACHINE;  // set to default machine here too
   select.addEventListener('change', e => {
-    hist.set_history_keys(e.target.value);
-    refresh_graph();  // switching graph
-    menus.display_UI_for(e.target.value);
+    switch_machine(e.target.value);
     history.replaceState(undefined, undefined, '#');  // clear the permalink
   });
-  // clear the partial computations when user switches machines
-  document.getElementById('select_machine').addEventListener('change', () => computations.fill(undefined));
 }
 
-/** handles the NFA to DFA button */
+/**
+ * ask the user for a second machine of the current type, either as a permalink or as a saved history entry
+ * @returns {Object|null} graph of the other machine, null if the user cancelled or the machine is invalid
+ */
+function prompt_for_machine() {
+  const answer = prompt('Paste the permalink of the other machine, or enter the number of a history entry (0 is the oldest)');
+  if (!answer) {  // cancelled
+    return null;
+  }
+  if (/^\d+$/.test(answer.trim())) {  // a history entry of the current machine type
+    const other = hist.get_history()[parseInt(answer)]?.graph;
+    if (!other) {
+      alert('No such history entry');
+      return null;
+    }
+    return other;
+  }
+  try {
+    const [type, other] = permalink.deserialize(answer.slice(answer.indexOf('#')+1));  // works with or without the url
+    if (type !== menus.machine_type()) {
+      alert(`The other machine is a ${type}, not a ${menus.machine_type()}`);
+      return null;
+    }
+    return other;
+  } catch (e) {
+    alert('Invalid permalink');
+    return null;
+  }
+}
+
+/**
+ * compare the current Mealy or Moore machine against another one and tell the user where their outputs differ
+ * @param {Object} other - graph of the other machine
+ */
+function compare_transducers(other) {
+  if (!graph_ops.is_deterministic(graph) || !graph_ops.is_deterministic(other)) {
+    alert('Only deterministic machines can be compared, each state needs at most one edge per symbol');
+    return;
+  }
+  const difference = compute.find_output_counterexample(graph, other, menus.machine_type());
+  if (difference === null) {
+    alert('The two machines are equivalent');
+    return;
+  }
+  const { input, output1, output2 } = difference;
+  const describe = output => (output === null) ? 'gets stuck' : `outputs "${output || consts.EMPTY_SYMBOL}"`;
+  alert(`The machines differ on "${input || consts.EMPTY_SYMBOL}": ` +
+    `the current machine ${describe(output1)} but the other one ${describe(output2)}`);
+}
+
+/** handles comparing the current machine against another one */
+function bind_equivalence_check() {
+  const compare_btn = document.getElementById('compare_machines');
+  compare_btn.addEventListener('click', () => {
+    const other = prompt_for_machine();
+    if (!other) {
+      return;
+    }
+    if (menus.is_Mealy() || menus.is_Moore()) {
+      compare_transducers(other);
+      return;
+    }
+    const counterexample = compute.find_counterexample(graph, other);
+    if (counterexample === null) {
+      alert('The two machines are equivalent');
+    } else {
+      // the empty graph accepts nothing, otherwise run the counterexample as if typed into an input bar
+      const accepted_by_this = Object.keys(graph).length &&
+        compute.run_input(graph, menus.machine_type(), counterexample).next().value;
+      alert(`The machines disagree on "${counterexample || consts.EMPTY_SYMBOL}": ` +
+        `the current machine ${accepted_by_this ? 'accepts' : 'rejects'} it but the other one does not`);
+    }
+  });
+}
+
+/** handles combining the current machine with another one through a product construction */
+function bind_product_constructions() {
+  const product_ops = {
+    intersect_machines: graph_ops.intersection,
+    difference_machines: graph_ops.difference,
+    symmetric_difference_machines: graph_ops.symmetric_difference
+  };
+  for (const [id, product_op] of Object.entries(product_ops)) {
+    document.getElementById(id).addEventListener('click', () => {
+      const other = prompt_for_machine();
+      if (!other) {
+        return;
+      }
+      graph = product_op(graph, other);
+      drawing.draw(graph);
+      hist.push_history(graph);
+    });
+  }
+}
+
+/**
+ * show the regular expression obtained from the machine and put it in the regex mode input
+ * @param {string} regex_str - the regular expression
+ */
+function show_regex(regex_str) {
+  document.getElementById('regex_string').value = regex_str;
+  window.setTimeout(() => alert(`Equivalent regular expression: ${regex_str}`), 0);  // alert after drawing
+}
+
+/** handles converting the machine to a regular expression, all at once or one eliminated state at a time */
+function bind_FA_to_regex() {
+  const FA_2_regex_btn = document.getElementById('FA_to_regex');
+  FA_2_regex_btn.addEventListener('click', () => {
+    if (!Object.keys(graph).length) {  // nothing to convert
+      return;
+    }
+    show_regex(regex.FA_to_regex(graph));
+  });
+  const eliminate_btn = document.getElementById('eliminate_state');
+  eliminate_btn.addEventListener('click', () => {
+    if (!Object.keys(graph).length) {  // nothing to convert
+      return;
+    } else if (!regex.is_GNFA(graph)) {  // the first step only shows the GNFA
+      eliminated_NFA = graph;
+      graph = regex.to_GNFA(graph);
+    } else {
+      const v = prompt('State to eliminate', regex.next_state_to_eliminate(graph) ?? '');
+      if (v === null) {  // cancelled
+        return;
+      } else if (!(v in graph) || v === consts.GNFA_START || v === consts.GNFA_ACCEPT) {
+        alert(`${v} cannot be eliminated`);
+        return;
+      }
+      regex.eliminate_state(graph, v);
+    }
+    drawing.draw(graph);  // the GNFA is not a machine of this type, so it never goes into history
+    if (regex.next_state_to_eliminate(graph) === null) {  // only the start and accept states are left
+      show_regex(regex.GNFA_to_regex(graph));
+      window.setTimeout(() => {  // bring back the NFA once the regex was shown
+        graph = eliminated_NFA ?? graph;
+        eliminated_NFA = null;
+        drawing.draw(graph);
+      }, 0);
+    }
+  });
+}
+
+/** handles the panel deciding emptiness, finiteness and universality of the current machine */
+function bind_decision_panel() {
+  const panel = document.getElementById('language_properties');
+  const analyze_btn = document.getElementById('analyze_language');
+  analyze_btn.addEventListener('click', () => {
+    const show_input = input => input || consts.EMPTY_SYMBOL;
+    const show_states = states => states.join(` ${consts.ARROW_SYMBOL} `);
+    const accepted = compute.find_accepted_path(graph);
+    const pumping = compute.find_pumping_cycle(graph);
+    const rejected = compute.find_rejected(graph);
+    const lines = [
+      accepted ? `Nonempty: accepts ${show_input(accepted.input)} via ${show_states(accepted.states)}`
+        : 'Empty: no final state is reachable',
+      pumping ? `Infinite: ${pumping.prefix}(${pumping.cycle})^n${pumping.suffix} is accepted for every n, ` +
+                `looping ${show_states(pumping.states)}`
+        : 'Finite: no cycle on an accepting path reads any input',
+      (rejected === null) ? 'Universal: accepts every string over its alphabet'
+        : `Not universal: rejects ${show_input(rejected)}`
+    ];
+    panel.replaceChildren(...lines.map(line => {
+      const item = document.createElement('li');
+      item.innerText = line;
+      return item;
+    }));
+  });
+}
+
+/** handles listing the first accepted and rejected strings of the current machine */
+function bind_language_sample() {
+  const panel = document.getElementById('language_sample');
+  const sample_btn = document.getElementById('sample_language');
+  sample_btn.addEventListener('click', () => {
+    if (!Object.keys(graph).length) {  // nothing to run
+      return;
+    }
+    const count = parseInt(prompt('How many accepted and rejected strings to list?', '10'));
+    if (!(count > 0)) {  // cancelled or not a number
+      return;
+    }
+    let alphabet = compute.input_alphabet(graph, menus.machine_type());
+    if (menus.is_Turing() || menus.is_MultiTuring()) {  // the tape symbols are only a guess, so let the user correct it
+      const typed = prompt('Which symbols can the input be made of?', alphabet.join(''));
+      if (typed === null) {  // cancelled
+        return;
+      }
+      alphabet = [...new Set(typed.replaceAll(' ', ''))].sort();
+    }
+    const { accepted, rejected, tried_length } =
+      compute.sample_language(graph, menus.machine_type(), count, undefined, hist.get_settings(), alphabet);
+    const show = strs => strs.length ? strs.map(str => str || consts.EMPTY_SYMBOL).join(', ') : 'none found';
+    const lines = [`Accepted: ${show(accepted)}`, `Rejected: ${show(rejected)}`];
+    if (accepted.length < count || rejected.length < count) {
+      lines.push(`Tried every string up to length ${tried_length}`);
+    }
+    panel.replaceChildren(...lines.map(line => {
+      const item = document.createElement('li');
+      item.innerText = line;
+      return item;
+    }));
+  });
+}
+
+/** handles running, saving, importing and exporting the test suite of the current machine */
+function bind_test_suite() {
+  const textbox = document.getElementById('test_suite_text');
+  textbox.addEventListener('input', () => hist.save_test_suite(textbox.value));
+
+  const run_btn = document.getElementById('run_test_suite');
+  const summary = document.getElementById('test_suite_summary');
+  const table = document.getElementById('test_suite_results');
+  run_btn.addEventListener('click', () => {
+    if (!Object.keys(graph).length) {  // nothing to run
+      return;
+    }
+    let results;
+    try {
+      results = test_suite.run(graph, menus.machine_type(), test_suite.parse(textbox.value), hist.get_settings());
+    } catch (e) {
+      alert(e.message);
+      return;
+    }
+    const num_passed = results.filter(({ passed }) => passed).length;
+    summary.innerText = `${num_passed}/${results.length} passed, ${results.length-num_passed} failed`;
+    table.replaceChildren(...results.map(({ input, expected, actual, passed }) => {
+      const row = document.createElement('tr');
+      row.style.backgroundColor = passed ? consts.ACCEPT_COLOR : consts.REJECT_COLOR;
+      for (const text of [input || consts.EMPTY_SYMBOL, expected, actual, passed ? 'pass' : 'fail']) {
+        const cell = document.createElement('td');
+        cell.innerText = text;
+        row.appendChild(cell);
+      }
+      return row;
+    }));
+  });
+
+  const import_btn = document.getElementById('import_test_suite');
+  const file_input = document.getElementById('test_suite_file');
+  import_btn.addEventListener('click', () => file_input.click());
+  file_input.addEventListener('change', () => {
+    const file = file_input.files[0];
+    if (!file) {
+      return;
+    }
+    file.text().then(text => {
+      textbox.value = test_suite.stringify(test_suite.parse(text));  // normalize what we read in
+      hist.save_test_suite(textbox.value);
+    }).catch(e => alert(e.message));
+    file_input.value = '';  // allow importing the same file twice
+  });
+
+  const export_btn = document.getElementById('export_test_suite');
+  export_btn.addEventListener('click', () => {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([textbox.value], { type: 'text/plain' }));
+    // GB date for sortability
+    link.download = (new Date()).toLocaleString('en-GB').replace(' ', '')+'_tests.txt';
+    link.click();
+    URL.revokeObjectURL(link.href);
+  });
+}
+
+/** handles the NFA to DFA, ε-removal, reverse, complement and minimization buttons */
 function bind_machine_transform() {
   const NFA_2_DFA_btn = document.getElementById('NFA_to_DFA');
   NFA_2_DFA_btn.addEventListener('click', () => {
@@ -369,6 +771,89 @@ function bind_machine_transform() {
     drawing.draw(graph);
     hist.push_history(graph);
   });
+  const remove_epsilon_btn = document.getElementById('remove_epsilon');
+  remove_epsilon_btn.addEventListener('click', () => {
+    graph = graph_ops.remove_epsilon(graph);
+    drawing.draw(graph);
+    hist.push_history(graph);
+  });
+  const Moore_2_Mealy_btn = document.getElementById('Moore_to_Mealy');
+  Moore_2_Mealy_btn.addEventListener('click', () => {
+    if (!Object.keys(graph).length) {  // nothing to convert
+      return;
+    }
+    const start_output = graph[compute.find_start(graph)]?.moore_output;
+    const Mealy = graph_ops.Moore_to_Mealy(graph);
+    switch_machine(consts.MACHINE_TYPES.Mealy);
+    graph = Mealy;
+    drawing.draw(graph);
+    hist.push_history(graph);
+    if (start_output) {
+      window.setTimeout(() => alert(`The Mealy machine leaves out the output ${start_output} of the start state, ` +
+        'which the Moore machine gives before reading any input'), 0);  // alert after drawing
+    }
+  });
+  const Mealy_2_Moore_btn = document.getElementById('Mealy_to_Moore');
+  Mealy_2_Moore_btn.addEventListener('click', () => {
+    if (!Object.keys(graph).length) {  // nothing to convert
+      return;
+    }
+    const Moore = graph_ops.Mealy_to_Moore(graph);
+    switch_machine(consts.MACHINE_TYPES.Moore);
+    graph = Moore;
+    drawing.draw(graph);
+    hist.push_history(graph);
+    const start_output = graph[compute.find_start(graph)]?.moore_output;
+    if (start_output) {
+      window.setTimeout(() => alert(`The Moore machine outputs ${start_output} before reading any input, ` +
+        'followed by what the Mealy machine outputs'), 0);  // alert after drawing
+    }
+  });
+  const reverse_btn = document.getElementById('reverse');
+  reverse_btn.addEventListener('click', () => {
+    if (!Object.keys(graph).length) {  // nothing to reverse
+      return;
+    }
+    graph = graph_ops.reverse(graph);
+    drawing.draw(graph);
+    hist.push_history(graph);
+  });
+  const complement_btn = document.getElementById('complement');
+  complement_btn.addEventListener('click', () => {
+    if (!Object.keys(graph).length) {  // nothing to complement
+      return;
+    }
+    const extra_symbols = prompt('Alphabet to complement over (leave empty to only use the symbols on the edges)', '');
+    if (extra_symbols === null) {  // cancelled
+      return;
+    }
+    graph = graph_ops.complement(graph, extra_symbols.replace(/[\s,]/g, ''));  // allow 'a, b' as well as 'ab'
+    drawing.draw(graph);
+    hist.push_history(graph);
+  });
+  const minimize_btn = document.getElementById('minimize_DFA');
+  minimize_btn.addEventListener('click', () => {
+    if (!Object.keys(graph).length) {  // nothing to minimize
+      return;
+    }
+    graph = graph_ops.minimize_DFA(graph);
+    drawing.draw(graph);
+    hist.push_history(graph);
+  });
+  const minimize_transducer_btn = document.getElementById('minimize_transducer');
+  minimize_transducer_btn.addEventListener('click', () => {
+    if (!Object.keys(graph).length) {  // nothing to minimize
+      return;
+    }
+    try {
+      graph = menus.is_Moore() ? graph_ops.minimize_Moore(graph) : graph_ops.minimize_Mealy(graph);
+    } catch (e) {
+      alert(e.message);
+      return;
+    }
+    drawing.draw(graph);
+    hist.push_history(graph);
+  });
 }
 
 /** hook up the save button */
@@ -382,7 +867,7 @@ function bind_permalink() {
   const permalink_btn = document.getElementById('permalink');
   permalink_btn.addEventListener('click', () => {
     const select = document.getElementById('select_machine');
-    const graph_str = permalink.serialize(select.value, graph);
+    const graph_str = permalink.serialize(select.value, graph, hist.get_settings());
     history.replaceState(undefined, undefined, '#'+graph_str);
     navigator.clipboard.writeText(window.location.href)
       .then(() => alert('Permalink copied to clipboard!'));
@@ -395,7 +880,7 @@ function bind_latex() {
   const latex_button = document.getElementById('latex');
   latex_button.addEventListener('click', () => {
     const select = document.getElementById('select_machine');
-    const latex_str = latex.serialize(select.value, graph);
+    const latex_str = latex.serialize(select.value, graph, hist.get_settings());
     navigator.clipboard.writeText(latex_str).then(() => 
       alert('Latex text copied to clipboard \n Please make sure to include the following in your Latex document:' +
         '\\usepackage{tikz} and \\usetikzlibrary{automata,positioning,arrows,}'));
@@ -471,6 +956,135 @@ function bind_regex() {
   });
 }
 
+/**
+ * parse the grammar in the editor, telling the user what is wrong with it
+ * @returns {Object|null} the grammar as in grammar.parse, null if it does not parse
+ */
+function parse_grammar_editor() {
+  try {
+    return grammar.parse(document.getElementById('grammar_text').value);
+  } catch (e) {
+    alert(e.message);
+    return null;
+  }
+}
+
+/**
+ * fill in the CYK table under the grammar editor, with the substrings of length 1 in the top row
+ * @param {string} input - input string
+ * @param {Array<Array<Set<string>>>} rows - the rows of the table filled in so far, see grammar.CYK
+ */
+function display_CYK_table(input, rows) {
+  const make_cell = (tag, text) => {
+    const cell = document.createElement(tag);
+    cell.innerText = text;
+    return cell;
+  };
+  const header = document.createElement('tr');
+  header.replaceChildren(...[...input].map(c => make_cell('th', c)));
+  const lines = rows.map(row => {
+    const line = document.createElement('tr');
+    line.replaceChildren(...row.map(cell => make_cell('td', cell.size ? [...cell].join(', ') : '∅')));
+    return line;
+  });
+  document.getElementById('CYK_table').replaceChildren(header, ...lines);
+}
+
+/**
+ * decide whether the grammar in the editor generates the input, showing the CYK table
+ * @param {string} input - input string
+ * @param {boolean} interactive - whether to fill in the table one row at a time
+ * @returns {Iterable} a generator that evaluates to true iff the grammar generates the input, as in compute.run_input
+ */
+function* run_CYK(input, interactive) {
+  const CFG = parse_grammar_editor();
+  if (!CFG) {
+    return false;
+  }
+  const { accepted, table } = grammar.CYK(grammar.to_CNF(CFG), input);
+  for (let len = 1; interactive && len < table.length; ++len) {
+    display_CYK_table(input, table.slice(0, len));
+    yield;
+  }
+  display_CYK_table(input, table);
+  return accepted;
+}
+
+/** close the computation tree panel */
+function bind_computation_tree() {
+  const panel = document.getElementById('computation_tree');
+  document.getElementById('close_computation_tree').addEventListener('click', () => panel.hidden = true);
+}
+
+/** hook up the grammar editor and the conversions between grammars and PDAs */
+function bind_grammar() {
+  const textbox = document.getElementById('grammar_text');
+  textbox.value = hist.get_grammar();
+  textbox.addEventListener('input', () => hist.save_grammar(textbox.value));
+  document.getElementById('convert_to_PDA').addEventListener('click', () => {
+    const CFG = parse_grammar_editor();
+    if (!CFG) {
+      return;
+    }
+    switch_machine(consts.MACHINE_TYPES.PDA);
+    graph = grammar.CFG_to_PDA(CFG);
+    drawing.draw(graph);
+    // the construction relies on the stack starting out empty
+    hist.push_history(graph, { settings: {...hist.get_settings(), initial_stack: ''} });
+    display_settings();
+  });
+  document.getElementById('grammar_latex').addEventListener('click', () => {
+    const CFG = parse_grammar_editor();
+    if (!CFG) {
+      return;
+    }
+    navigator.clipboard.writeText(latex.serialize_grammar(CFG)).then(() =>
+      alert('Latex text copied to clipboard \n Please make sure to include the amsmath package in your Latex document'));
+  });
+  document.getElementById('convert_to_CNF').addEventListener('click', () => {
+    const CFG = parse_grammar_editor();
+    if (!CFG) {
+      return;
+    }
+    document.getElementById('CNF_steps').replaceChildren(...grammar.CNF_steps(CFG).map(({ name, grammar: step }) => {
+      const item = document.createElement('li');
+      const text = document.createElement('pre');
+      text.innerText = grammar.stringify(step);
+      item.replaceChildren(name, text);
+      return item;
+    }));
+  });
+  document.getElementById('PDA_to_CFG').addEventListener('click', () => {
+    if (!Object.keys(graph).length) {  // nothing to convert
+      return;
+    }
+    let CFG;
+    try {
+      CFG = grammar.PDA_to_CFG(graph, hist.get_settings());
+    } catch (e) {
+      alert(e.message);
+      return;
+    }
+    if (!CFG) {
+      alert('The machine has no start state');
+      return;
+    }
+    if (confirm('Remove useless variables from the grammar?')) {
+      CFG = grammar.remove_useless(CFG);
+      if (!CFG.productions[CFG.start].length) {
+        alert('The PDA accepts no string, so every variable is useless');
+        return;
+      }
+    }
+    if (hist.get_grammar().trim() && !confirm('Replace the grammar in the grammar editor?')) {
+      return;
+    }
+    textbox.value = grammar.stringify(CFG);
+    hist.save_grammar(textbox.value);
+    switch_machine(consts.MACHINE_TYPES.CFG);
+  });
+}
+
 /** run after all the contents are loaded to hook up callbacks */
 function init() {
   bind_switch_machine();
@@ -479,6 +1093,13 @@ function init() {
   bind_context_menu();
   bind_context_menu_navbar();
   bind_machine_transform();
+  bind_equivalence_check();
+  bind_product_constructions();
+  bind_FA_to_regex();
+  bind_decision_panel();
+  bind_language_sample();
+  bind_test_suite();
+  bind_machine_settings();
   bind_save_drawing();
   bind_undo_redo();
   bind_scroll();
@@ -490,5 +1111,7 @@ function init() {
   ui_setup.add_input_bar(); // called so one input bar appears on opening of homepage
   ui_setup.htmlSetUp(); // initiate eventlisteners for sidenavbar, second sidenavbar, and popup tutorial
   bind_regex();
+  bind_grammar();
+  bind_computation_tree();
   init_graph();  // leave this last since we want it to override some of the above
 }
@@ -21,6 +21,7 @@
 import * as consts from './consts.js';
 import * as linalg from './linalg.js';
 import * as drawing from './drawing.js';
+import * as grammar from './grammar.js';
 
 let debug = false; // change this to enable/disable logging
 const tikzLabel = {}; // maps name of vertex in graph to it's tikz label used for reference
@@ -145,21 +146,49 @@ function edge_to_string(graph, type, edge) {
     label += `,${edge.pop_symbol} \\rightarrow ${edge.push_symbol}`.replaceAll('$', '\\$');
     break;
   case 'Turing':
+  case 'MultiTuring':
     label += ` \\rightarrow ${edge.push_symbol}, ${edge.move}`.replaceAll('$', '\\$');
     break;
+  case 'TwoWay':
+    label += `, ${edge.move}`;
+    break;
   default:
     break;
   }
 
   let output = `(${tikzLabel[edge.from]}) edge [${inner}] node[${labelPos}] {$${label}$} (${tikzLabel[edge.to]})\n`;
-  return output.replaceAll(consts.EMPTY_SYMBOL, '\\epsilon').replaceAll(consts.EMPTY_TAPE, '\\square');
+  return output.replaceAll(consts.EMPTY_SYMBOL, '\\epsilon').replaceAll(consts.EMPTY_TAPE, '\\square')
+    .replaceAll(consts.LEFT_END_MARKER, '\\vdash').replaceAll(consts.RIGHT_END_MARKER, '\\dashv');
+}
+
+/**
+ * describes how a PDA accepts when it is not the usual acceptance by final state with an empty initial stack
+ * @param {Object} settings - the settings saved with the machine
+ * @return {String} a node placed under the picture, empty if the settings are the defaults
+ */
+function PDA_settings_caption(settings) {
+  let lines = [];
+  if(settings.acceptance === consts.PDA_ACCEPTANCE.empty_stack) {
+    lines.push('accepts by empty stack');
+  } else if(settings.acceptance === consts.PDA_ACCEPTANCE.both) {
+    lines.push('accepts by final state and empty stack');
+  }
+  if(settings.initial_stack) {
+    let symbol = settings.initial_stack.replaceAll('$', '\\$');
+    lines.push(`initial stack $${symbol}$`);
+  }
+  if(!lines.length) {
+    return '';
+  }
+  return `\\node[below, align=left] at (current bounding box.south) {${lines.join('\\\\ ')}};\n`;
 }
 
 /**
  * @param {Object} graph - graph to be converted to latex
+ * @param {Object} settings - the settings saved with the machine, shown under PDAs
  * @return {String} representation of graph in latex tikzpicture
  */
-export function serialize(type, graph) {
+export function serialize(type, graph, settings=consts.DEFAULT_SETTINGS) {
   // setup
   let distance = 2;
 
@@ -201,6 +230,10 @@ export function serialize(type, graph) {
   }
   output += ';\n';
 
+  if(type === consts.MACHINE_TYPES.PDA) {
+    output += PDA_settings_caption(settings);
+  }
+
   output += '\\end{tikzpicture}';
 
   if(debug) {
@@ -209,3 +242,33 @@ export function serialize(type, graph) {
 
   return output;
 }
+
+/**
+ * @param {String} symbol - a variable or terminal of a grammar
+ * @return {String} the symbol in math mode, with <p,q> as \langle p,q \rangle
+ */
+function grammar_symbol_to_string(symbol) {
+  if(/^<.*>$/.test(symbol)) {
+    return `\\langle ${symbol.slice(1, -1)} \\rangle`;
+  }
+  if(grammar.is_variable(symbol)) {
+    return symbol;
+  }
+  return symbol.replace(/[#$%&_{}]/, '\\$&');
+}
+
+/**
+ * @param {Object} CFG - { start, productions } as returned by grammar.parse
+ * @return {String} representation of the grammar as an align* environment, one variable per line
+ */
+export function serialize_grammar(CFG) {
+  let output = '\\begin{align*}\n';
+  let lines = [];
+  for(let [variable, bodies] of Object.entries(CFG.productions)) {
+    let alternatives = bodies.map(body => body.length ? body.map(grammar_symbol_to_string).join(' ') : '\\epsilon');
+    lines.push(`${grammar_symbol_to_string(variable)} &\\rightarrow ${alternatives.join(' \\mid ')}`);
+  }
+  output += lines.join(' \\\\\n') + '\n';
+  output += '\\end{align*}';
+  return output;
+}
@@ -31,6 +31,31 @@ export function is_Turing() {
   return machine_type() === consts.MACHINE_TYPES.Turing;
 }
 
+/**
+ * reports the type of machine the user is working on
+ * @returns {boolean} true or false 
+ */
+export function is_MultiTuring() {
+  return machine_type() === consts.MACHINE_TYPES.MultiTuring;
+}
+
+/**
+ * reports whether Turing machine runs should report their final tapes instead of only accepting or rejecting
+ * @returns {boolean} true or false
+ */
+export function is_TM_transducer() {
+  return (is_Turing() || is_MultiTuring()) && Boolean(document.getElementById('TM_transducer')?.checked);
+}
+
+/**
+ * reports how many tapes new edges of a multi-tape Turing machine should have
+ * @returns {int} the number of tapes chosen in the machine settings
+ */
+export function num_tapes() {
+  const num = parseInt(document.getElementById('num_tapes')?.value);
+  return (num > 0) ? num : consts.DEFAULT_NUM_TAPES;
+}
+
 /** dynamically change the length of textboxes inside the container */
 function bind_elongate_textbox(container) {
   const minimum_width = 4;  // minimum width of 4ch
@@ -56,6 +81,22 @@ export function is_Moore() {
   return machine_type() === consts.MACHINE_TYPES.Moore;
 }
 
+/**
+ * reports the type of machine the user is working on
+ * @returns {boolean} true or false 
+ */
+export function is_TwoWay() {
+  return machine_type() === consts.MACHINE_TYPES.TwoWay;
+}
+
+/**
+ * reports the type of machine the user is working on
+ * @returns {boolean} true or false 
+ */
+export function is_Buchi() {
+  return machine_type() === consts.MACHINE_TYPES.Buchi;
+}
+
 /**
  * reports the type of machine the user is working on
  * @returns {boolean} true or false 
@@ -151,6 +192,9 @@ export function display_edge_menu(graph, edge, x, y) {
   left_right_choice.type = 'checkbox';
   left_right_choice.className = 'L_R_toggle';
   left_right_choice.checked = edge.move === consts.LEFT;
+  const moves = document.createElement('input');  // one of L, R, S per tape
+  moves.type = 'text';
+  moves.value = edge.move;
   const m_output = document.createElement('input');
   m_output.type = 'text';
   m_output.value = edge.mealy_output;
@@ -161,15 +205,22 @@ export function display_edge_menu(graph, edge, x, y) {
   } else if (is_Turing()) {
     rename_div.appendChild(push);
     rename_div.appendChild(left_right_choice);
+  } else if (is_TwoWay()) {
+    rename_div.appendChild(left_right_choice);
+  } else if (is_MultiTuring()) {
+    rename_div.appendChild(push);
+    rename_div.appendChild(moves);
   } else if (is_Mealy()) {
     rename_div.appendChild(m_output);
   }
   container.style = `left:${x}px; top:${y}px`;
   container.addEventListener('keyup', e => {
     if (e.key === 'Enter') {
-      graph_ops.rename_edge(graph, edge,
-        transition.value, pop.value, push.value,
-        left_right_choice.checked ? consts.LEFT : consts.RIGHT, m_output.value);
+      let move = left_right_choice.checked ? consts.LEFT : consts.RIGHT;
+      if (is_MultiTuring()) {
+        move = moves.value.toUpperCase();
+      }
+      graph_ops.rename_edge(graph, edge, transition.value, pop.value, push.value, move, m_output.value);
     }
   });
   document.querySelector('body').appendChild(container);
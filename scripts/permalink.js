@@ -34,14 +34,31 @@ function to_string_field(field) {
   return Array.from(field_str).reduce((acc, c) => acc + char_url_compliance(c), '');
 }
 
+/**
+ * turn the format version and the settings that differ from the defaults into the header of the graph string
+ * a vertex name cannot start with an unescaped EDGE_DELIM, so wrapping the header with it keeps old permalinks valid
+ * @param {Object} settings - the settings saved with the machine, see consts.DEFAULT_SETTINGS
+ * @returns {string} the string repr of the header
+ */
+function serialize_header(settings) {
+  const fields = ['version=' + consts.PERMALINK_VERSION];
+  for (const [key, default_value] of Object.entries(consts.DEFAULT_SETTINGS)) {
+    if (settings[key] !== undefined && settings[key] !== default_value) {
+      fields.push(key + '=' + to_string_field(settings[key]));
+    }
+  }
+  return consts.EDGE_DELIM + fields.join(consts.FIELD_DELIM) + consts.EDGE_DELIM;
+}
+
 /**
  * basically the 'toString' method for the graph
- * @param {string} type - the type of the graph in {'NFA', 'PDA', 'Turing'}
+ * @param {string} type - the type of the graph in {'NFA', 'PDA', 'Turing', 'MultiTuring'}
  * @param {Object} graph - check 'graph_components.js' for the structure of the graph
+ * @param {Object} settings - the settings saved with the machine, see consts.DEFAULT_SETTINGS
  * @returns {string} the graph as a string
  */
-export function serialize(type, graph) {
-  let result = type;
+export function serialize(type, graph, settings=consts.DEFAULT_SETTINGS) {
+  let result = type + serialize_header(settings);
 
   for (const vertex of Object.values(graph)) {
     result += to_string_field(vertex.name)          + consts.FIELD_DELIM;
@@ -62,11 +79,12 @@ export function serialize(type, graph) {
     for (const edge of vertex.out) {
       result += to_string_field(vertex_name_to_id[edge.from]) + consts.FIELD_DELIM;
       result += to_string_field(vertex_name_to_id[edge.to])   + consts.FIELD_DELIM;
-      result += to_string_field(edge.transition)              +
-                to_string_field(edge.pop_symbol)              +
-                to_string_field(edge.push_symbol)             +
-                to_string_field(edge.mealy_output)            +
-                to_string_field(edge.move)                    + consts.FIELD_DELIM;
+      // symbols get a field each since PDA strings and multi-tape tuples do not fit in single characters
+      result += to_string_field(edge.transition)              + consts.FIELD_DELIM;
+      result += to_string_field(edge.pop_symbol)              + consts.FIELD_DELIM;
+      result += to_string_field(edge.push_symbol)             + consts.FIELD_DELIM;
+      result += to_string_field(edge.mealy_output)            + consts.FIELD_DELIM;
+      result += to_string_field(edge.move)                    + consts.FIELD_DELIM;
       result += to_string_field(Math.round(edge.a1*10))       + consts.FIELD_DELIM;
       result += to_string_field(Math.round(edge.a2*10))       + consts.FIELD_DELIM;
       result += to_string_field(Math.round(edge.angle1*10))   + consts.FIELD_DELIM;
@@ -80,7 +98,7 @@ export function serialize(type, graph) {
 /**
  * find the type of the graph and return it along with the rest of the unparsed graph string
  * @param {string} graph_str - the string representation of the graph
- * @returns {Array<string>} type of the graph in {'NFA', 'PDA', 'Turing'} and the rest of the unparsed graph string
+ * @returns {Array<string>} type of the graph in {'NFA', 'PDA', 'Turing', 'MultiTuring'} and the rest of the unparsed graph string
  */
 function parse_type(graph_str) {
   for (const type of Object.values(consts.MACHINE_TYPES)) {
@@ -91,17 +109,60 @@ function parse_type(graph_str) {
   throw new Error('Invalid graph type');
 }
 
+/**
+ * parse the header, if any, and return it along with the rest of the unparsed graph string
+ * @param {string} graph_str - the string representation of the graph without the type
+ * @returns {Array<int|Object|string>} the format version, the settings and the rest of the unparsed graph string
+ */
+function parse_header(graph_str) {
+  const settings = {...consts.DEFAULT_SETTINGS};
+  if (!graph_str.startsWith(consts.EDGE_DELIM)) {  // the first version had no header
+    return [1, settings, graph_str];
+  }
+  let version = 1;
+  const header_end = graph_str.indexOf(consts.EDGE_DELIM, 1);
+  for (const field of graph_str.slice(1, header_end).split(consts.FIELD_DELIM)) {
+    const [key, value] = [field.slice(0, field.indexOf('=')), field.slice(field.indexOf('=')+1)];
+    if (key === 'version') {
+      version = parseInt(value);
+    } else if (typeof consts.DEFAULT_SETTINGS[key] === 'number') {
+      settings[key] = parseInt(value) || consts.DEFAULT_SETTINGS[key];
+    } else if (key in consts.DEFAULT_SETTINGS) {  // ignore settings we do not know about
+      settings[key] = decodeURIComponent(value);
+    }
+  }
+  return [version, settings, graph_str.slice(header_end+1)];
+}
+
+/**
+ * parse an edge of the first version of the format, where the symbols are single characters packed into one field
+ * @param {Array<string>} fields - the decoded fields of the edge
+ * @returns {Array} [from_id, to_id, transition, pop_symbol, push_symbol, mealy_output, move, a1, a2, angle1, angle2]
+ */
+function parse_edge_v1(fields) {
+  const composite_str = fields[2];
+  const transition    = composite_str.charAt(0);
+  const pop_symbol    = composite_str.charAt(1);
+  const push_symbol   = composite_str.charAt(2);
+  // backwards compatibility (in case an older permalink doesn't contain this field)
+  const mealy_output  = (composite_str.length === 5) ? composite_str.charAt(3) : consts.DEFAULT_MEALY_OUTPUT;
+  const move          = (composite_str.length === 5) ? composite_str.charAt(4) : composite_str.charAt(3);
+  return [fields[0], fields[1], transition, pop_symbol, push_symbol, mealy_output, move, ...fields.slice(3)];
+}
+
 /**
  * basically the 'fromString' method for the graph
  * @param {string} graph_str - the string representation of the graph
- * @returns {Array<string|Object>} type of the graph in {'NFA', 'PDA', 'Turing'} and the graph
+ * @returns {Array<string|Object>} type of the graph in {'NFA', 'PDA', 'Turing', 'MultiTuring'}, the graph
+ *                                 and the settings saved with it
  */
 export function deserialize(graph_str) {
   const graph = {};
-  const [type, typeless_graph_str] = parse_type(graph_str);
+  const [type, typed_graph_str] = parse_type(graph_str);
+  const [version, settings, typeless_graph_str] = parse_header(typed_graph_str);
 
   if (typeless_graph_str.length === 0) {  // the degenerate case when there is no vertex
-    return [type, graph];
+    return [type, graph, settings];
   }
 
   const split_by_vertex = typeless_graph_str.split(consts.VERTEX_DELIM);
@@ -124,29 +185,21 @@ export function deserialize(graph_str) {
   }
 
   if (rest.length === 0) {  // the degenerate case when there is no edge
-    return [type, graph];
+    return [type, graph, settings];
   }
 
   const edges = rest.split(consts.EDGE_DELIM).slice(0, -1);
   for (const edge of edges) {
     const fields = edge.split(consts.FIELD_DELIM).map(decodeURIComponent);
-    const from          = vertex_id_to_name[parseInt(fields[0])];
-    const to            = vertex_id_to_name[parseInt(fields[1])];
-    const composite_str = fields[2];
-    const transition    = composite_str.charAt(0);
-    const pop_symbol    = composite_str.charAt(1);
-    const push_symbol   = composite_str.charAt(2);
-    // backwards compatibility (in case an older permalink doesn't contain this field)
-    const mealy_output  = (composite_str.length === 5) ? composite_str.charAt(3) : consts.DEFAULT_MEALY_OUTPUT;
-    const move          = (composite_str.length === 5) ? composite_str.charAt(4) : composite_str.charAt(3);
-    const a1            = parseFloat(fields[3])/10.0;
-    const a2            = parseFloat(fields[4])/10.0;
-    const angle1        = parseFloat(fields[5])/10.0;
-    const angle2        = parseFloat(fields[6])/10.0;
+    const [from_id, to_id, transition, pop_symbol, push_symbol, mealy_output, move, ...angles] =
+      (version === 1) ? parse_edge_v1(fields) : fields;
+    const from          = vertex_id_to_name[parseInt(from_id)];
+    const to            = vertex_id_to_name[parseInt(to_id)];
+    const [a1, a2, angle1, angle2] = angles.map(angle => parseFloat(angle)/10.0);
     graph[from].out.push(graph_components.make_edge(
       from, to, transition, a1, a2, angle1, angle2, pop_symbol, push_symbol, move, mealy_output
     ));
   }
 
-  return [type, graph];
+  return [type, graph, settings];
 }
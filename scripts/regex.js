@@ -46,6 +46,16 @@ export function getPrecendence(key) {
   }
 }
 
+/**
+ * check whether a character of a regular expression stands for itself rather than being an operator
+ * @param {string} ch - the character
+ * @returns {boolean} true iff ch is a symbol, ε, Σ or ∅
+ */
+function is_operand(ch) {
+  return ![consts.OPEN, consts.CLOSE, consts.UNION, consts.CONCAT, consts.KLEENE, consts.PLUS].includes(ch) &&
+    !/\s/.test(ch);
+}
+
 /**
  * applies the shunting-yard algorithm to convert regular expression to postfix notation
  * @param {string} string - the string to convert to postfix
@@ -57,7 +67,7 @@ export function shunting_yard(string) {
 
   for (let ch of string) {
     // case if ch is a character or epsilon
-    if (ch.match(/[a-zA-Z0-9]/i) || ch === consts.EMPTY || ch === consts.SIGMA) {
+    if (is_operand(ch)) {
       queue.enqueue(ch);
     }
     // case if ch is an operator
@@ -116,7 +126,7 @@ export function union(graph1, graph2) {
       new_name = new_name + ',n';
     }
 
-    graph_ops.rename_vertex(graph1, node, new_name, true);
+    graph_ops.rename_vertex(graph1, node, new_name, undefined, true);  // no drawing or history mid-construction
 
     // check if current node is graph1's start node
     if (graph1[new_name].is_start) {
@@ -132,7 +142,7 @@ export function union(graph1, graph2) {
       new_name = new_name + ',n';
     }
 
-    graph_ops.rename_vertex(graph2, node, new_name, true);
+    graph_ops.rename_vertex(graph2, node, new_name, undefined, true);
 
     // check if current node is graph2's start node
     if (graph2[new_name].is_start) {
@@ -175,7 +185,7 @@ export function concat(graph1, graph2) {
       new_name = new_name + ',n';
     }
 
-    graph_ops.rename_vertex(graph1, node, new_name, true);
+    graph_ops.rename_vertex(graph1, node, new_name, undefined, true);
 
     // check if current node is an accept node for graph1
     if (graph1[new_name].is_final) {
@@ -191,7 +201,7 @@ export function concat(graph1, graph2) {
       new_name = new_name + ',n';
     }
 
-    graph_ops.rename_vertex(graph2, node, new_name, true);
+    graph_ops.rename_vertex(graph2, node, new_name, undefined, true);
 
     // check if current node is graph2's start node
     if (graph2[new_name].is_start) {
@@ -262,12 +272,21 @@ function single_transition(char) {
   return graph;
 }
 
+/** @returns {Object} an NFA accepting nothing, for ∅ */
+function empty_language() {
+  const graph = single_transition(consts.EMPTY_SYMBOL);
+  graph['q0'].out = [];
+  return graph;
+}
+
 export function thompson(regex) {
   // stack of NFA pieces
   let stack = new util.Stack();
 
   for (let c of regex) {
-    if (c.match(/[a-zA-Z0-9]/i) || c === consts.EMPTY || c === consts.SIGMA) {
+    if (c === consts.EMPTY_SET) {  // an automaton with no way to its accept state
+      stack.push(empty_language());
+    } else if (is_operand(c)) {
       // make graph of single vertex
       stack.push(single_transition(c));
     } else if (c === consts.UNION) {
@@ -295,6 +314,220 @@ export function thompson(regex) {
   return stack.pop();
 }
 
+/**
+ * finds the loosest binding operator that is not inside any parentheses
+ * @param {string} regex - a regular expression with explicit concatenation symbols
+ * @returns {Number} the precedence of that operator as in getPrecendence, 3 if the regex is atomic or starred
+ */
+function top_level_precedence(regex) {
+  let depth = 0, precedence = 3;
+  for (const c of regex) {
+    if (c === consts.OPEN) {
+      depth++;
+    } else if (c === consts.CLOSE) {
+      depth--;
+    } else if (!depth && (c === consts.UNION || c === consts.CONCAT)) {
+      precedence = Math.min(precedence, getPrecendence(c));
+    }
+  }
+  return precedence;
+}
+
+/**
+ * wraps a regular expression in parentheses if its operators bind looser than the surrounding operator
+ * @param {string} regex - the operand
+ * @param {string} operator - the operator the regex is an operand of
+ * @returns {string} the regex, parenthesized if needed
+ */
+function parenthesize(regex, operator) {
+  return (top_level_precedence(regex) < getPrecendence(operator)) ? consts.OPEN+regex+consts.CLOSE : regex;
+}
+
+/**
+ * union of two regular expressions where undefined stands for the empty set
+ * @param {string | undefined} regex1
+ * @param {string | undefined} regex2
+ * @returns {string | undefined} regex1 ∪ regex2
+ */
+function regex_union(regex1, regex2) {
+  if (regex1 === undefined || regex1 === regex2) {
+    return regex2;
+  } else if (regex2 === undefined) {
+    return regex1;
+  }
+  return regex1 + consts.UNION + regex2;
+}
+
+/**
+ * concatenation of two regular expressions, dropping ε operands
+ * @param {string} regex1
+ * @param {string} regex2
+ * @returns {string} regex1 ◦ regex2
+ */
+function regex_concat(regex1, regex2) {
+  if (regex1 === consts.EMPTY_SYMBOL) {
+    return regex2;
+  } else if (regex2 === consts.EMPTY_SYMBOL) {
+    return regex1;
+  }
+  return parenthesize(regex1, consts.CONCAT) + consts.CONCAT + parenthesize(regex2, consts.CONCAT);
+}
+
+/**
+ * kleene star of a regular expression, where ε* = ε and (R*)* = R*
+ * @param {string} regex
+ * @returns {string} regex*
+ */
+function regex_kleene(regex) {
+  if (regex === consts.EMPTY_SYMBOL || (regex.endsWith(consts.KLEENE) && top_level_precedence(regex) === 3)) {
+    return regex;
+  }
+  return parenthesize(regex, consts.KLEENE) + consts.KLEENE;
+}
+
+/**
+ * the label of the (unique) edge between two states of a GNFA
+ * @param {Object} GNFA - the GNFA graph
+ * @param {string} u - from vertex
+ * @param {string} v - to vertex
+ * @returns {string | undefined} the regular expression on the edge, undefined if there is no edge (i.e. ∅)
+ */
+function GNFA_label(GNFA, u, v) {
+  return GNFA[u].out.find(edge => edge.to === v)?.transition;
+}
+
+/**
+ * sets the label of the edge between two states of a GNFA, creating the edge if it does not exist yet
+ * @param {Object} GNFA - the GNFA graph
+ * @param {string} u - from vertex
+ * @param {string} v - to vertex
+ * @param {string} label - the new regular expression on the edge
+ */
+function set_GNFA_label(GNFA, u, v, label) {
+  const edge = GNFA[u].out.find(edge => edge.to === v);
+  if (edge) {
+    edge.transition = label;
+  } else {
+    GNFA[u].out.push(graph_components.make_edge(u, v, label, undefined, undefined, undefined, undefined,
+      consts.EMPTY_SYMBOL, consts.EMPTY_SYMBOL, consts.RIGHT));
+  }
+}
+
+/**
+ * checks if the graph is a GNFA made by to_GNFA
+ * @param {Object} graph - the graph to check
+ * @returns {boolean} true iff the graph has the GNFA start and accept states
+ */
+export function is_GNFA(graph) {
+  return consts.GNFA_START in graph && consts.GNFA_ACCEPT in graph;
+}
+
+/**
+ * converts an NFA into a GNFA with a fresh start state, a single accept state and one edge per pair of states
+ * @param {Object} NFA - the NFA to convert, left untouched
+ * @returns {Object} the GNFA, with the original states in their original positions
+ */
+export function to_GNFA(NFA) {
+  const vertices = Object.values(NFA);
+  const r = vertices[0].r;
+  const min_x = Math.min(...vertices.map(vertex => vertex.x)), max_x = Math.max(...vertices.map(vertex => vertex.x));
+  const mid_y = vertices.reduce((acc, vertex) => acc + vertex.y, 0)/vertices.length;
+  const GNFA = {};
+  GNFA[consts.GNFA_START] = graph_components.make_vertex(consts.GNFA_START, min_x-3*r, mid_y, r, true, false);
+  for (const vertex of vertices) {
+    GNFA[vertex.name] = graph_components.make_vertex(vertex.name, vertex.x, vertex.y, vertex.r, false, false);
+  }
+  GNFA[consts.GNFA_ACCEPT] = graph_components.make_vertex(consts.GNFA_ACCEPT, max_x+3*r, mid_y, r, false, true);
+
+  for (const vertex of vertices) {
+    for (const edge of vertex.out) {  // parallel edges are merged into a union
+      set_GNFA_label(GNFA, edge.from, edge.to, regex_union(GNFA_label(GNFA, edge.from, edge.to), edge.transition));
+    }
+    if (vertex.is_start) {
+      set_GNFA_label(GNFA, consts.GNFA_START, vertex.name, consts.EMPTY_SYMBOL);
+    }
+    if (vertex.is_final) {
+      set_GNFA_label(GNFA, vertex.name, consts.GNFA_ACCEPT, consts.EMPTY_SYMBOL);
+    }
+  }
+  return GNFA;
+}
+
+/**
+ * removes a state from the GNFA (in place), rerouting every path through it as p -R1-> v -R2-> v -R3-> q
+ * by relabelling p -> q with R1 R2* R3 ∪ R4 where R4 is the old label of p -> q
+ * @param {Object} GNFA - the GNFA graph
+ * @param {string} v - the state to eliminate, cannot be the GNFA start or accept
+ */
+export function eliminate_state(GNFA, v) {
+  const loop = GNFA_label(GNFA, v, v);
+  const loop_kleene = (loop === undefined) ? consts.EMPTY_SYMBOL : regex_kleene(loop);
+  for (const p of Object.keys(GNFA)) {
+    const into_v = GNFA_label(GNFA, p, v);
+    if (p === v || into_v === undefined) {
+      continue;
+    }
+    for (const edge of GNFA[v].out) {
+      if (edge.to === v) {
+        continue;
+      }
+      const through_v = regex_concat(regex_concat(into_v, loop_kleene), edge.transition);
+      set_GNFA_label(GNFA, p, edge.to, regex_union(GNFA_label(GNFA, p, edge.to), through_v));
+    }
+  }
+  delete GNFA[v];
+  for (const vertex of Object.values(GNFA)) {
+    vertex.out = vertex.out.filter(edge => edge.to !== v);
+  }
+}
+
+/**
+ * suggests the next state to eliminate: the one creating the fewest new paths
+ * @param {Object} GNFA - the GNFA graph
+ * @returns {string | null} name of the state, null if only the start and accept states are left
+ */
+export function next_state_to_eliminate(GNFA) {
+  let best = null, best_cost = Infinity;
+  for (const [v, vertex] of Object.entries(GNFA)) {
+    if (v === consts.GNFA_START || v === consts.GNFA_ACCEPT) {
+      continue;
+    }
+    const num_in = Object.values(GNFA).filter(u => u.name !== v && GNFA_label(GNFA, u.name, v) !== undefined).length;
+    const num_out = vertex.out.filter(edge => edge.to !== v).length;
+    if (num_in*num_out < best_cost) {
+      best = v, best_cost = num_in*num_out;
+    }
+  }
+  return best;
+}
+
+/**
+ * reads off the regular expression of a GNFA whose states have all been eliminated
+ * @param {Object} GNFA - a GNFA with only its start and accept states left
+ * @returns {string} the regular expression, ∅ if the language is empty
+ */
+export function GNFA_to_regex(GNFA) {
+  const label = GNFA_label(GNFA, consts.GNFA_START, consts.GNFA_ACCEPT);
+  return (label === undefined) ? consts.EMPTY_SET : label;
+}
+
+/**
+ * converts a finite automaton (or a partially eliminated GNFA) to a regular expression by state elimination
+ * @param {Object} graph - the NFA or GNFA to convert, left untouched
+ * @param {Array<string>} order - the order in which to eliminate states, the rest follows next_state_to_eliminate
+ * @returns {string} an equivalent regular expression using the operators in consts
+ */
+export function FA_to_regex(graph, order=[]) {
+  const GNFA = is_GNFA(graph) ? structuredClone(graph) : to_GNFA(graph);
+  for (const v of order) {
+    eliminate_state(GNFA, v);
+  }
+  for (let v = next_state_to_eliminate(GNFA); v !== null; v = next_state_to_eliminate(GNFA)) {
+    eliminate_state(GNFA, v);
+  }
+  return GNFA_to_regex(GNFA);
+}
+
 export function create_buttons() {
   let input_field = document.getElementById('regex_string');
 
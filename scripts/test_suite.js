@@ -0,0 +1,74 @@
+/** @module test_suite */
+
+import * as consts from './consts.js';
+import * as compute from './compute.js';
+
+/**
+ * parse a test suite with one 'input, expected' per line; blank lines and lines starting with # are skipped
+ * the input may be left empty (or written as ε) for the empty string
+ * @param {string} text - the test suite as text
+ * @returns {Array<Object>} an array of { input, expected }
+ */
+export function parse(text) {
+  const test_cases = [];
+  for (const line of text.split('\n')) {
+    if (!line.trim() || line.trim().startsWith('#')) {
+      continue;
+    }
+    const delim_idx = line.lastIndexOf(consts.TEST_SUITE_DELIM);  // inputs may contain the delimiter
+    const input = (delim_idx === -1) ? line.trim() : line.slice(0, delim_idx).trim();
+    const expected = (delim_idx === -1) ? '' : line.slice(delim_idx+1).trim();
+    test_cases.push({ input: (input === consts.EMPTY_SYMBOL) ? '' : input, expected: expected });
+  }
+  return test_cases;
+}
+
+/**
+ * the inverse of parse
+ * @param {Array<Object>} test_cases - an array of { input, expected }
+ * @returns {string} the test suite as text
+ */
+export function stringify(test_cases) {
+  return test_cases.map(({ input, expected }) =>
+    `${input || consts.EMPTY_SYMBOL}${consts.TEST_SUITE_DELIM} ${expected}`).join('\n');
+}
+
+/**
+ * turns the result of running the machine into the word used in test suites
+ * @param {string} machine_type - type of machine the result comes from
+ * @param {boolean|string|Object} output - the value the computation evaluates to
+ * @returns {string} accept/reject for acceptors and the output itself for transducers, consts.GAVE_UP if the
+ *                   machine did not halt within its step limit and consts.INVALID_INPUT if it could not read the input
+ */
+function outcome_word(machine_type, output) {
+  if (machine_type === consts.MACHINE_TYPES.Moore || machine_type === consts.MACHINE_TYPES.Mealy) {
+    return output;
+  } else if (compute.gave_up(output)) {  // fails whichever outcome was expected
+    return consts.GAVE_UP;
+  } else if (output === consts.INVALID_INPUT) {  // a typo in the suite is not a rejection either
+    return consts.INVALID_INPUT;
+  }
+  return output ? consts.ACCEPT_WORD : consts.REJECT_WORD;
+}
+
+/**
+ * run every test case on the machine noninteractively
+ * @param {Object} graph - machine graph
+ * @param {string} machine_type - type of machine the graph represents
+ * @param {Array<Object>} test_cases - an array of { input, expected }
+ * @param {Object} settings - the settings saved with the machine, see consts.DEFAULT_SETTINGS
+ * @returns {Array<Object>} an array of { input, expected, actual, passed }
+ */
+export function run(graph, machine_type, test_cases, settings=consts.DEFAULT_SETTINGS) {
+  const is_transducer = machine_type === consts.MACHINE_TYPES.Moore || machine_type === consts.MACHINE_TYPES.Mealy;
+  const all_inputs = test_cases.map(({ input }) => input).join('');
+  if (is_transducer && !compute.is_DFA(graph, all_inputs)) {  // complain once instead of once per test case
+    return test_cases.map(test_case => ({ ...test_case, actual: '', passed: false }));
+  }
+  return test_cases.map(({ input, expected }) => {
+    const { value } = compute.run_input(graph, machine_type, input, false, settings).next();
+    const actual = outcome_word(machine_type, value);
+    const passed = is_transducer ? actual === expected : actual === expected.toLowerCase();
+    return { input, expected, actual, passed };
+  });
+}
@@ -300,6 +300,10 @@ export function add_input_bar() {
   new_inputbox.type = 'text';
   new_inputbox.placeholder = 'Enter input';
   new_inputbox.classList.add('machine_input_text');
+  // where the result of a run goes when it is more than accept/reject
+  const new_output = document.createElement('span');
+  new_output.classList.add('machine_output');
+
   // create a new run button under the original one
   const new_run_button = document.createElement('button');
   new_run_button.classList.add('run_btn');
@@ -315,10 +319,19 @@ export function add_input_bar() {
   new_reset_button.classList.add('reset_btn');
   new_reset_button.innerHTML = 'X';
 
+  // create a new computation tree button, only for the nondeterministic machines it helps with
+  const new_tree_button = document.createElement('button');
+  new_tree_button.classList.add('tree_btn', 'NFA_specific', 'PDA_specific');
+  new_tree_button.innerHTML = 'T';
+  const machine = document.getElementById('select_machine').value;
+  new_tree_button.hidden = machine !== consts.MACHINE_TYPES.NFA && machine !== consts.MACHINE_TYPES.PDA;
+
   new_machine_input.appendChild(new_inputbox);
   new_machine_input.appendChild(new_run_button);
   new_machine_input.appendChild(new_step_button);
   new_machine_input.appendChild(new_reset_button);
+  new_machine_input.appendChild(new_tree_button);
+  new_machine_input.appendChild(new_output);
 
   // append the new button to the body
   machine_inputs.appendChild(new_machine_input);
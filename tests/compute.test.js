@@ -8,13 +8,38 @@ const RandExp = require('randexp');
 
 import * as permalink from '../scripts/permalink.js';
 import * as compute from '../scripts/compute.js';
+import * as graph_components from '../scripts/graph_components.js';
+import * as consts from '../scripts/consts.js';
+import * as grammar from '../scripts/grammar.js';
+import * as test_suite from '../scripts/test_suite.js';
+import { regex_NFA_str } from './helpers.js';
 
 const regex_graph_pairs = [
-  ['^(c?a*d|bb*c?)*$', 'NFAq0:393:194:40:3;q1:393:665:40:0;q2:395:439:40:2;0:2:b%CE%B5%CE%B5R:5:-10:-1:-30~0:0:d%CE%B5%CE%B5R:5:10:23:7~0:1:a%CE%B5%CE%B5R:5:-34:-18:-26~0:1:c%CE%B5%CE%B5R:5:-54:-7:-24~1:1:a%CE%B5%CE%B5R:2:12:20:4~1:0:d%CE%B5%CE%B5R:5:-44:24:12~2:0:c%CE%B5%CE%B5R:5:-12:30:0~2:0:d%CE%B5%CE%B5R:5:0:-31:0~2:1:a%CE%B5%CE%B5R:5:0:-2:-24~2:2:b%CE%B5%CE%B5R:3:15:23:6~'],
+  ['^(c?a*d|bb*c?)*$', regex_NFA_str],
 
   ['^(a|b)+(q?(c|d)+)*@(w?(e|f)+)*$', 'NFAq0:669:162:40:1;q1:665:368:40:0;q2:809:494:40:0;q3:651:880:40:2;q4:721:730:40:0;q5:653:1060:40:0;0:1:a%CE%B5%CE%B5R:5:11:-1:-28~0:1:b%CE%B5%CE%B5R:5:0:4:7~1:1:a%CE%B5%CE%B5R:5:10:24:9~1:1:b%CE%B5%CE%B5R:5:-10:-22:-9~1:4:c%CE%B5%CE%B5R:5:-11:0:-20~1:4:d%CE%B5%CE%B5R:5:0:1:-5~1:2:q%CE%B5%CE%B5R:5:0:7:-20~1:3:@%CE%B5%CE%B5R:5:-21:-4:-22~2:4:c%CE%B5%CE%B5R:5:10:-5:24~2:4:d%CE%B5%CE%B5R:4:-9:-2:8~3:3:e%CE%B5%CE%B5R:5:10:24:6~3:3:f%CE%B5%CE%B5R:5:-10:-23:-10~3:5:w%CE%B5%CE%B5R:5:-15:-2:-11~4:2:q%CE%B5%CE%B5R:6:-33:18:6~4:4:c%CE%B5%CE%B5R:5:-10:-24:-11~4:4:d%CE%B5%CE%B5R:0:13:19:3~4:3:@%CE%B5%CE%B5R:5:0:-4:20~5:3:e%CE%B5%CE%B5R:5:-12:29:18~5:3:f%CE%B5%CE%B5R:5:0:30:9~']
 ];
 
+/** an edge of an NFA, or of a Büchi automaton */
+function nfa_edge(from, to, read) {
+  return graph_components.make_edge(from, to, read, 0.5, 0, 0, 0, 'ε', 'ε', 'R', '0');
+}
+
+/** an edge of a PDA, popping and pushing whole strings */
+function pda_edge(from, to, read, pop, push) {
+  return graph_components.make_edge(from, to, read, 0.5, 0, 0, 0, pop, push, 'R', '0');
+}
+
+/** an edge of a Turing machine, which leaves the symbol it reads and moves right unless told otherwise */
+function tm_edge(from, to, read, write=read, move='R') {
+  return graph_components.make_edge(from, to, read, 0.5, 0, 0, 0, 'ε', write, move, '0');
+}
+
+/** an edge of a two-way automaton */
+function two_way_edge(from, to, read, move) {
+  return graph_components.make_edge(from, to, read, 0.5, 0, 0, 0, 'ε', 'ε', move, '0');
+}
+
 function shuffle(str) {
   const str_arr = str.split('');
   const shuffled = str_arr.sort(() => 0.5 - Math.random());
@@ -59,3 +84,306 @@ regex_graph_pairs.forEach(([regex, graph], idx) => {
     validate(regex, graph); // TODO: can't run deserialized NFA's
   });
 });
+
+test('equivalence check finds the shortest counterexample', () => {
+  const [, graph] = permalink.deserialize(regex_graph_pairs[0][1]);
+  const [, copy] = permalink.deserialize(regex_graph_pairs[0][1]);
+  expect(compute.find_counterexample(graph, copy)).toBe(null);
+  const [, changed] = permalink.deserialize(regex_graph_pairs[0][1]);
+  changed['q2'].is_final = false;  // q2 is reached by a single b
+  expect(compute.find_counterexample(graph, changed)).toBe('b');
+});
+
+test('decision procedures give witnesses', () => {
+  const [, graph] = permalink.deserialize(regex_graph_pairs[1][1]);  // ^(a|b)+(q?(c|d)+)*@(w?(e|f)+)*$
+  const accepted = compute.find_accepted_path(graph);
+  expect(new RegExp(regex_graph_pairs[1][0]).test(accepted.input)).toBe(true);
+  const { prefix, cycle, suffix } = compute.find_pumping_cycle(graph);
+  expect(cycle.length).toBeGreaterThan(0);
+  for (let n = 0; n < 3; n++) {
+    expect(compute.run_input(graph, 'NFA', prefix + cycle.repeat(n) + suffix).next().value).toBe(true);
+  }
+  expect(compute.run_input(graph, 'NFA', compute.find_rejected(graph)).next().value).toBe(false);
+  for (const vertex of Object.values(graph)) {
+    vertex.is_final = false;
+  }
+  expect(compute.find_accepted_path(graph)).toBe(null);
+  expect(compute.find_pumping_cycle(graph)).toBe(null);
+});
+
+test('language sample is in shortlex order and agrees with the machine', () => {
+  const [type, graph] = permalink.deserialize(regex_graph_pairs[0][1]);
+  const { accepted, rejected } = compute.sample_language(graph, type, 10);
+  expect(accepted.length).toBe(10);
+  expect(rejected.length).toBe(10);
+  expect(accepted.slice(0, 3)).toEqual(['', 'b', 'd']);
+  const matcher = new RegExp(regex_graph_pairs[0][0]);
+  expect(accepted.every(str => matcher.test(str))).toBe(true);
+  expect(rejected.every(str => !matcher.test(str))).toBe(true);
+});
+
+test('language sample of a machine accepting everything stops after a bounded number of tries', () => {
+  // 26 symbols make 26^8 strings up to the default length, which would never finish
+  const graph = { q0: graph_components.make_vertex('q0', 0, 0, 40, true, true) };
+  const alphabet = [...'abcdefghijklmnopqrstuvwxyz'];
+  graph.q0.out.push(...alphabet.map(letter => nfa_edge('q0', 'q0', letter)));
+  const { accepted, rejected, tried_length } = compute.sample_language(graph, 'NFA', 5);
+  expect(accepted).toEqual(['', 'a', 'b', 'c', 'd']);
+  expect(rejected).toEqual([]);
+  expect(tried_length).toBe(2);  // 1+26+26^2 strings fit in the budget, 26^3 more do not
+});
+
+test('language sample of a Turing machine leaves out the marks it writes', () => {
+  // a^n b^n, crossing off an a as X and then a b as Y
+  const graph = {};
+  for (const [i, v] of ['q0', 'q1', 'q2', 'q3'].entries()) {
+    graph[v] = graph_components.make_vertex(v, 100*i, 0, 40, i === 0, v === 'q3');
+  }
+  graph.q0.out.push(tm_edge('q0', 'q1', 'a', 'X'), tm_edge('q0', 'q0', 'Y'), tm_edge('q0', 'q3', '☐'));
+  graph.q1.out.push(tm_edge('q1', 'q1', 'a'), tm_edge('q1', 'q1', 'Y'), tm_edge('q1', 'q2', 'b', 'Y', 'L'));
+  graph.q2.out.push(tm_edge('q2', 'q2', 'a', 'a', 'L'), tm_edge('q2', 'q2', 'Y', 'Y', 'L'),
+    tm_edge('q2', 'q0', 'X', 'X', 'R'));
+  expect(compute.input_alphabet(graph, 'Turing')).toEqual(['a', 'b']);
+  const { accepted } = compute.sample_language(graph, 'Turing', 3);
+  expect(accepted).toEqual(['', 'ab', 'aabb']);
+});
+
+test('nondeterministic Turing machine explores every branch', () => {
+  // guesses where an 'aa' starts; the first edge out of q0 alone would never leave q0
+  const graph = {
+    q0: graph_components.make_vertex('q0', 0, 0, 40, true, false),
+    q1: graph_components.make_vertex('q1', 100, 0, 40, false, false),
+    q2: graph_components.make_vertex('q2', 200, 0, 40, false, true)
+  };
+  graph.q0.out.push(tm_edge('q0', 'q0', 'a'), tm_edge('q0', 'q0', 'b'), tm_edge('q0', 'q1', 'a'));
+  graph.q1.out.push(tm_edge('q1', 'q2', 'a'));
+  for (const [input, expected] of [['baab', true], ['abab', false], ['aa', true], ['', false]]) {
+    expect(compute.run_input(graph, 'Turing', input).next().value).toBe(expected);
+  }
+});
+
+test('multi-tape Turing machine survives a permalink and decides palindromes', () => {
+  // copy the input to the second tape, rewind the first head, then compare the tapes in opposite directions
+  const graph = {};
+  for (const [i, v] of ['q0', 'q1', 'q2', 'q3'].entries()) {
+    graph[v] = graph_components.make_vertex(v, 100*i, 0, 40, i === 0, v === 'q3');
+  }
+  for (const x of ['a', 'b']) {
+    graph.q0.out.push(tm_edge('q0', 'q0', x+'☐', x+x, 'RR'));
+    graph.q1.out.push(tm_edge('q1', 'q2', '☐'+x, '☐'+x, 'RS'));
+    graph.q2.out.push(tm_edge('q2', 'q2', x+x, x+x, 'RL'));
+    for (const y of ['a', 'b']) {
+      graph.q1.out.push(tm_edge('q1', 'q1', x+y, x+y, 'LS'));
+    }
+  }
+  graph.q0.out.push(tm_edge('q0', 'q1', '☐☐', '☐☐', 'LL'));
+  graph.q1.out.push(tm_edge('q1', 'q3', '☐☐', '☐☐', 'SS'));
+  graph.q2.out.push(tm_edge('q2', 'q3', '☐☐', '☐☐', 'SS'));
+  expect(compute.count_tapes(graph)).toBe(2);
+
+  const [type, copy] = permalink.deserialize(permalink.serialize('MultiTuring', graph));
+  expect(type).toBe('MultiTuring');
+  for (const machine of [graph, copy]) {
+    for (const [input, expected] of [['', true], ['abba', true], ['aba', true], ['ab', false], ['abb', false]]) {
+      expect(compute.run_input(machine, 'MultiTuring', input).next().value).toBe(expected);
+    }
+  }
+});
+
+test('Turing machine transducer reports the final tape', () => {
+  // binary increment: run to the end of the number, then carry back to the left
+  const graph = {
+    q0: graph_components.make_vertex('q0', 0, 0, 40, true, false),
+    q1: graph_components.make_vertex('q1', 100, 0, 40, false, false),
+    q2: graph_components.make_vertex('q2', 200, 0, 40, false, true)
+  };
+  graph.q0.out.push(tm_edge('q0', 'q0', '0', '0', 'R'), tm_edge('q0', 'q0', '1', '1', 'R'),
+    tm_edge('q0', 'q1', '☐', '☐', 'L'));
+  graph.q1.out.push(tm_edge('q1', 'q1', '1', '0', 'L'), tm_edge('q1', 'q2', '0', '1', 'L'),
+    tm_edge('q1', 'q2', '☐', '1', 'L'));
+  expect(compute.run_TM_transducer(graph, 'Turing', '1011').next().value)
+    .toEqual({ accepted: true, halted: true, tapes: ['1100'], heads: [0], steps: 8 });
+  expect(compute.run_TM_transducer(graph, 'Turing', '111').next().value)
+    .toEqual({ accepted: true, halted: true, tapes: ['1000'], heads: [-1], steps: 8 });
+});
+
+test('Turing machine that keeps guessing gives up once it has too many branches', () => {
+  // writes 0 or 1 on every blank and moves right, doubling its branches at every step
+  const graph = { q0: graph_components.make_vertex('q0', 0, 0, 40, true, false) };
+  graph.q0.out.push(tm_edge('q0', 'q0', '☐', '0', 'R'), tm_edge('q0', 'q0', '☐', '1', 'R'));
+  expect(compute.run_input(graph, 'Turing', '').next().value.gave_up).toBe(true);
+  const { halted, steps } = compute.run_TM_transducer(graph, 'Turing', '').next().value;
+  expect(halted).toBe(false);
+  expect(steps).toBeLessThan(consts.TM_ALLOWED_STEPS);
+});
+
+test('machines that run out of steps give up instead of rejecting', () => {
+  // the Turing machine walks right until it finds a c, which it never does on a blank tape
+  const TM = {
+    q0: graph_components.make_vertex('q0', 0, 0, 40, true, false),
+    q1: graph_components.make_vertex('q1', 100, 0, 40, false, true)
+  };
+  TM.q0.out.push(tm_edge('q0', 'q0', 'a'), tm_edge('q0', 'q0', '☐'), tm_edge('q0', 'q1', 'c'));
+  expect(compute.run_input(TM, 'Turing', 'ac').next().value).toBe(true);
+  expect(compute.run_input(TM, 'Turing', 'ab').next().value).toBe(false);
+  expect(compute.run_input(TM, 'Turing', 'aa').next().value.gave_up).toBe(true);
+  const short = { ...consts.DEFAULT_SETTINGS, step_limit: 3 };
+  expect(compute.run_input(TM, 'Turing', 'aaac', false, short).next().value)
+    .toEqual({ gave_up: true, steps: 3, configs: ['q0, tape aaa[c]'], more: 0 });
+  // stuck right at the step limit is a rejection, not giving up
+  expect(compute.run_input(TM, 'Turing', 'ab', false, { ...consts.DEFAULT_SETTINGS, step_limit: 1 }).next().value)
+    .toBe(false);
+  expect(compute.run_TM_transducer(TM, 'Turing', 'aaac', false, short).next().value)
+    .toEqual({ accepted: false, halted: false, tapes: ['aaac'], heads: [3], steps: 3 });
+
+  // the PDA keeps pushing without reading, so only the a is ever decided
+  const PDA = {
+    q0: graph_components.make_vertex('q0', 0, 0, 40, true, false),
+    q1: graph_components.make_vertex('q1', 100, 0, 40, false, true)
+  };
+  PDA.q0.out.push(pda_edge('q0', 'q0', 'ε', 'ε', 'A'), pda_edge('q0', 'q1', 'a', 'ε', 'ε'));
+  expect(compute.run_input(PDA, 'PDA', 'a').next().value).toBe(true);
+  expect(compute.run_input(PDA, 'PDA', 'b').next().value.gave_up).toBe(true);
+  expect(compute.sample_language(PDA, 'PDA', 2, 2)).toEqual({ accepted: ['a'], rejected: [], tried_length: 2 });
+  const reader = { q0: graph_components.make_vertex('q0', 0, 0, 40, true, false) };
+  reader.q0.out.push(pda_edge('q0', 'q0', 'a', 'ε', 'ε'));
+  expect(compute.run_input(reader, 'PDA', 'aa', false, { ...consts.DEFAULT_SETTINGS, step_limit: 2 }).next().value)
+    .toBe(false);
+
+  const [, , settings] = permalink.deserialize(permalink.serialize('PDA', PDA, short));
+  expect(settings).toEqual(short);
+});
+
+test('computation tree follows every nondeterministic branch', () => {
+  // q0 guesses whether the a it reads is the last symbol, and q1 has an ε-loop
+  const NFA = {
+    q0: graph_components.make_vertex('q0', 0, 0, 40, true, false),
+    q1: graph_components.make_vertex('q1', 100, 0, 40, false, true)
+  };
+  NFA.q0.out.push(nfa_edge('q0', 'q0', 'a'), nfa_edge('q0', 'q1', 'a'));
+  NFA.q1.out.push(nfa_edge('q1', 'q1', 'ε'));
+  const root = compute.computation_tree(NFA, 'NFA', 'aa');
+  expect(root).toMatchObject({ state: 'q0', remaining_input: 'aa', status: 'inner' });
+  expect(root.stack).toBeUndefined();
+  const [stay, guess] = root.children;
+  expect(guess).toMatchObject({ state: 'q1', remaining_input: 'a', transition: 'a', status: 'inner' });
+  expect(guess.children).toMatchObject([{ state: 'q1', transition: 'ε', status: 'cut' }]);
+  expect(stay.children.map(child => [child.state, child.status])).toEqual([['q0', 'dead'], ['q1', 'accept']]);
+
+  // the PDA pushes forever without reading, so its tree is cut at the step limit
+  const PDA = {
+    q0: graph_components.make_vertex('q0', 0, 0, 40, true, true)
+  };
+  PDA.q0.out.push(pda_edge('q0', 'q0', 'ε', 'ε', 'A'));
+  let node = compute.computation_tree(PDA, 'PDA', 'b', { ...consts.DEFAULT_SETTINGS, step_limit: 3 });
+  for (const stack of [[], ['A'], ['A', 'A']]) {
+    expect(node).toMatchObject({ stack, status: 'inner' });
+    node = node.children[0];
+  }
+  expect(node).toMatchObject({ stack: ['A', 'A', 'A'], transition: 'ε,ε→A', status: 'cut', children: [] });
+});
+
+test('PDA acceptance by empty stack with an initial stack symbol', () => {
+  // a^n b^n: push an A per a, pop one per b, then pop the bottom marker
+  const graph = {
+    q0: graph_components.make_vertex('q0', 0, 0, 40, true, false),
+    q1: graph_components.make_vertex('q1', 100, 0, 40, false, true)
+  };
+  graph.q0.out.push(pda_edge('q0', 'q0', 'a', 'ε', 'A'), pda_edge('q0', 'q1', 'ε', 'ε', 'ε'));
+  graph.q1.out.push(pda_edge('q1', 'q1', 'b', 'A', 'ε'), pda_edge('q1', 'q1', 'ε', '$', 'ε'));
+  const empty_stack = { acceptance: 'empty', initial_stack: '$' };
+  const both = { acceptance: 'both', initial_stack: '$' };
+  for (const [input, expected] of [['', true], ['aabb', true], ['aab', false], ['abb', false]]) {
+    expect(compute.run_input(graph, 'PDA', input, false, empty_stack).next().value).toBe(expected);
+    expect(compute.run_input(graph, 'PDA', input, false, both).next().value).toBe(expected);
+  }
+  // by final state alone the marker may stay on the stack
+  expect(compute.run_input(graph, 'PDA', 'aab', false, { acceptance: 'final', initial_stack: '$' }).next().value)
+    .toBe(true);
+
+  const [, , settings] = permalink.deserialize(permalink.serialize('PDA', graph, empty_stack));
+  expect(settings).toEqual({ ...empty_stack, step_limit: 0 });
+  expect(permalink.serialize('PDA', graph)).toBe(permalink.serialize('PDA', graph, { acceptance: 'final' }));
+});
+
+test('an initial stack of several symbols is pushed like an edge would push it', () => {
+  // a^n b^n over the initial stack Z0, which has to come off as Z then 0 once the b's are matched
+  const graph = {
+    q0: graph_components.make_vertex('q0', 0, 0, 40, true, false),
+    q1: graph_components.make_vertex('q1', 100, 0, 40, false, false)
+  };
+  graph.q0.out.push(pda_edge('q0', 'q0', 'a', 'ε', 'A'), pda_edge('q0', 'q1', 'ε', 'ε', 'ε'));
+  graph.q1.out.push(pda_edge('q1', 'q1', 'b', 'A', 'ε'), pda_edge('q1', 'q1', 'ε', 'Z0', 'ε'));
+  const settings = { ...consts.DEFAULT_SETTINGS, acceptance: 'empty', initial_stack: 'Z0' };
+  const CNF = grammar.to_CNF(grammar.PDA_to_CFG(graph, settings));
+  for (const [input, expected] of [['', true], ['ab', true], ['aabb', true], ['aab', false], ['ba', false]]) {
+    expect(compute.run_input(graph, 'PDA', input, false, settings).next().value).toBe(expected);
+    expect(grammar.CYK(CNF, input).accepted).toBe(expected);
+  }
+  expect(compute.computation_tree(graph, 'PDA', 'ab', settings).stack).toEqual(['0', 'Z']);
+});
+
+test('PDA edges push and pop whole strings', () => {
+  // a^n b^n where each a pushes AB and each b pops both, while c only pops the A on top
+  const graph = {
+    q0: graph_components.make_vertex('q0', 0, 0, 40, true, false),
+    q1: graph_components.make_vertex('q1', 100, 0, 40, false, true)
+  };
+  graph.q0.out.push(pda_edge('q0', 'q0', 'a', 'ε', 'AB'), pda_edge('q0', 'q1', 'ε', 'ε', 'ε'));
+  graph.q1.out.push(pda_edge('q1', 'q1', 'b', 'AB', 'ε'), pda_edge('q1', 'q1', 'c', 'A', 'ε'));
+  const [, copy] = permalink.deserialize(permalink.serialize('PDA', graph));
+  expect(copy.q0.out[0].push_symbol).toBe('AB');
+  const settings = { acceptance: 'empty', initial_stack: '' };
+  // after c pops the A, b finds B on top and gets stuck
+  for (const [input, expected] of [['aabb', true], ['ab', true], ['aab', false], ['acb', false]]) {
+    expect(compute.run_input(copy, 'PDA', input, false, settings).next().value).toBe(expected);
+  }
+});
+
+test('two-way automaton walks back over its input and stops when it loops', () => {
+  // walks to ⊣ and back one symbol, accepting if the input ends in a, while a final b sends it back and forth forever
+  const graph = {
+    q0: graph_components.make_vertex('q0', 0, 0, 40, true, false),
+    q1: graph_components.make_vertex('q1', 100, 0, 40, false, false),
+    q2: graph_components.make_vertex('q2', 200, 0, 40, false, true),
+    q3: graph_components.make_vertex('q3', 100, 100, 40, false, false)
+  };
+  graph.q0.out.push(two_way_edge('q0', 'q0', 'a', 'R'), two_way_edge('q0', 'q0', 'b', 'R'),
+    two_way_edge('q0', 'q1', consts.RIGHT_END_MARKER, 'L'));
+  graph.q1.out.push(two_way_edge('q1', 'q2', 'a', 'R'), two_way_edge('q1', 'q3', 'b', 'R'));
+  graph.q3.out.push(two_way_edge('q3', 'q1', consts.RIGHT_END_MARKER, 'L'));
+  for (const [input, expected] of [['a', true], ['ba', true], ['ab', false], ['', false]]) {
+    expect(compute.run_input(graph, 'TwoWay', input).next().value).toBe(expected);
+  }
+  const [, copy] = permalink.deserialize(permalink.serialize('TwoWay', graph));
+  expect(copy.q1.out[0].move).toBe('R');
+  expect(compute.run_input(copy, 'TwoWay', 'bba').next().value).toBe(true);
+  expect(compute.sample_language(graph, 'TwoWay', 2))
+    .toEqual({ accepted: ['a', 'aa'], rejected: ['', 'b'], tried_length: 1 });
+});
+
+test('Büchi automaton accepts lasso words through a cycle over a final state', () => {
+  // infinitely many a's, where an ε-loop on the final state must not count as visiting it forever
+  const graph = {
+    q0: graph_components.make_vertex('q0', 0, 0, 40, true, false),
+    q1: graph_components.make_vertex('q1', 100, 0, 40, false, true)
+  };
+  graph.q0.out.push(nfa_edge('q0', 'q1', 'a'), nfa_edge('q0', 'q0', 'b'));
+  graph.q1.out.push(nfa_edge('q1', 'q1', 'a'), nfa_edge('q1', 'q0', 'b'), nfa_edge('q1', 'q1', 'ε'));
+  for (const [input, expected] of [['b(a)', true], ['(ab)', true], ['aaa(b)', false], ['(b)', false]]) {
+    expect(Boolean(compute.run_input(graph, 'Buchi', input).next().value)).toBe(expected);
+  }
+  expect(compute.parse_lasso('ab')).toBeNull();
+  expect(compute.parse_lasso('a()')).toBeNull();
+  const lasso = {
+    stem: [['q0', 0], ['q1', 1]],
+    cycle: [['q1', 1], ['q0', 0], ['q1', 1]],
+    cycle_edges: [graph.q1.out[1], graph.q0.out[0]]
+  };
+  expect(compute.find_accepting_lasso(graph, ...compute.parse_lasso('(ab)'))).toEqual(lasso);
+  expect(compute.run_input(graph, 'Buchi', '(ab)').next().value).toEqual(lasso);
+
+  // a word not written as u(v) is neither accepted nor rejected, so a test case expecting either fails
+  expect(compute.run_input(graph, 'Buchi', 'ab').next().value).toBe(consts.INVALID_INPUT);
+  expect(test_suite.run(graph, 'Buchi', [{ input: 'ab', expected: 'reject' }])[0].passed).toBe(false);
+});
@@ -0,0 +1,81 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import * as grammar from '../scripts/grammar.js';
+import * as compute from '../scripts/compute.js';
+import { all_strings } from './helpers.js';
+
+test('parse and stringify productions', () => {
+  const CFG = grammar.parse('S -> aSb | ε\n\nS → T\nT ::= c|');
+  expect(CFG.start).toBe('S');
+  expect(CFG.productions).toEqual({ S: [['a', 'S', 'b'], [], ['T']], T: [['c'], []] });
+  expect(grammar.stringify(CFG)).toBe('S → aSb | ε | T\nT → c | ε');
+  expect(grammar.parse('<p,q> → a<p,q> A1 0').productions['<p,q>']).toEqual([['a', '<p,q>', 'A1', '0']]);
+  expect(() => grammar.parse('s → a')).toThrow();
+  expect(() => grammar.parse('S → a → b')).toThrow();
+  expect(() => grammar.parse('  ')).toThrow();
+});
+
+/** whether the parentheses in a string are balanced */
+function balanced(str) {
+  let depth = 0;
+  for (const c of str) {
+    depth += (c === '(') ? 1 : -1;
+    if (depth < 0) {
+      return false;
+    }
+  }
+  return depth === 0;
+}
+
+test('CFG to PDA accepts exactly the balanced parentheses', () => {
+  const PDA = grammar.CFG_to_PDA(grammar.parse('S → (S)S | ε'));
+  for (const input of all_strings(['(', ')'], 6)) {
+    expect(compute.run_input(PDA, 'PDA', input).next().value).toBe(balanced(input));
+  }
+});
+
+test('PDA to CFG and back accepts the same language', () => {
+  const PDA = grammar.CFG_to_PDA(grammar.parse('S → aSb | ε'));
+  const CFG = grammar.remove_useless(grammar.PDA_to_CFG(PDA));
+  expect(CFG.start in CFG.productions).toBe(true);
+  expect([...grammar.terminals(CFG)].sort()).toEqual(['a', 'b']);
+  const back = grammar.CFG_to_PDA(CFG);
+  const expected = { '': true, ab: true, aabb: true, a: false, ba: false, aab: false };
+  for (const [input, accepted] of Object.entries(expected)) {
+    expect(compute.run_input(back, 'PDA', input).next().value).toBe(accepted);
+  }
+  PDA[compute.find_start(PDA)].is_start = false;
+  expect(grammar.PDA_to_CFG(PDA)).toBeNull();
+});
+
+test('PDA to CFG refuses input symbols that would read as variables', () => {
+  // A^n B^n, whose terminals A and B would turn into variables in the grammar text
+  const PDA = grammar.CFG_to_PDA(grammar.parse('S → aSb | ε'));
+  for (const vertex of Object.values(PDA)) {
+    for (const edge of vertex.out) {
+      edge.transition = { a: 'A', b: 'B' }[edge.transition] ?? edge.transition;
+    }
+  }
+  expect(() => grammar.PDA_to_CFG(PDA)).toThrow('A, B would read as variables');
+});
+
+test('CNF conversion and CYK decide the balanced parentheses', () => {
+  const steps = grammar.CNF_steps(grammar.parse('S → (S)S | ε | T\nT → S'));
+  expect(steps.length).toBe(4);
+  const CNF = steps.at(-1).grammar;
+  for (const [variable, bodies] of Object.entries(CNF.productions)) {
+    for (const body of bodies) {
+      const proper = (body.length === 2 && body.every(grammar.is_variable) && !body.includes(CNF.start)) ||
+        (body.length === 1 && !grammar.is_variable(body[0])) || (body.length === 0 && variable === CNF.start);
+      expect(proper).toBe(true);
+    }
+  }
+  for (const input of all_strings(['(', ')'], 6)) {
+    expect(grammar.CYK(CNF, input).accepted).toBe(balanced(input));
+  }
+  const { table } = grammar.CYK(CNF, '()');
+  expect(table.map(row => row.length)).toEqual([2, 1]);
+  expect(table[1][0].has(CNF.start)).toBe(true);
+});
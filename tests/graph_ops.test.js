@@ -0,0 +1,164 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import * as graph_ops from '../scripts/graph_ops.js';
+import * as graph_components from '../scripts/graph_components.js';
+import * as compute from '../scripts/compute.js';
+import * as consts from '../scripts/consts.js';
+import { all_strings } from './helpers.js';
+
+// graph_components looks up the machine type from the page to pick default symbols
+document.body.innerHTML = '<select id="select_machine"><option value="NFA">NFA</option></select>';
+// jsdom does not ship structuredClone, and graphs are plain json anyway
+globalThis.structuredClone ??= obj => JSON.parse(JSON.stringify(obj));
+
+/**
+ * build a graph from a compact description
+ * @param {Array<string>} states - names of the states, the first one is the start
+ * @param {Array<string>} finals - names of the accept states
+ * @param {Array<Array<string>>} edges - [from, to, transition] triples
+ * @returns {Object} the graph
+ */
+function build_graph(states, finals, edges) {
+  const graph = {};
+  for (const [i, v] of states.entries()) {
+    graph[v] = graph_components.make_vertex(v, 100*i, 100, 40, i === 0, finals.includes(v));
+  }
+  for (const [from, to, transition] of edges) {
+    graph[from].out.push(graph_components.make_edge(from, to, transition));
+  }
+  return graph;
+}
+
+/** an edge of a Mealy machine, outputting output when reading transition */
+function mealy_edge(from, to, transition, output) {
+  return graph_components.make_edge(from, to, transition,
+    undefined, undefined, undefined, undefined, 'ε', 'ε', 'R', output);
+}
+
+function accepts(graph, input) {
+  return compute.run_input(graph, 'NFA', input).next().value;
+}
+
+// (a|b)*abb, whose minimal DFA famously has four states
+const abb_NFA = build_graph(['q0', 'q1', 'q2', 'q3'], ['q3'], [
+  ['q0', 'q0', 'a'], ['q0', 'q0', 'b'], ['q0', 'q1', 'a'], ['q1', 'q2', 'b'], ['q2', 'q3', 'b']
+]);
+
+test('minimize NFA for (a|b)*abb', () => {
+  const min_DFA = graph_ops.minimize_DFA(structuredClone(abb_NFA));
+  expect(Object.keys(min_DFA).length).toBe(4);
+  expect(graph_ops.is_deterministic(min_DFA)).toBe(true);
+  for (const input of all_strings(['a', 'b'], 8)) {
+    expect(accepts(min_DFA, input)).toBe(accepts(abb_NFA, input));
+  }
+});
+
+test('minimize merges equivalent states and drops unreachable ones', () => {
+  // q1 and q2 both accept everything, q3 is unreachable
+  const DFA = build_graph(['q0', 'q1', 'q2', 'q3'], ['q1', 'q2'], [
+    ['q0', 'q1', 'a'], ['q0', 'q2', 'b'], ['q1', 'q2', 'a'], ['q1', 'q1', 'b'],
+    ['q2', 'q1', 'a'], ['q2', 'q2', 'b'], ['q3', 'q0', 'a'], ['q3', 'q0', 'b']
+  ]);
+  const min_DFA = graph_ops.minimize_DFA(DFA);
+  expect(Object.keys(min_DFA).sort()).toEqual(['q0', '{q1,q2}']);
+  expect(min_DFA['q0'].is_start).toBe(true);
+});
+
+test('product constructions agree with the set operations', () => {
+  const even_length = build_graph(['e', 'o'], ['e'], [
+    ['e', 'o', 'a'], ['e', 'o', 'b'], ['o', 'e', 'a'], ['o', 'e', 'b']
+  ]);
+  const intersection = graph_ops.intersection(abb_NFA, even_length);
+  const difference = graph_ops.difference(abb_NFA, even_length);
+  const symmetric_difference = graph_ops.symmetric_difference(abb_NFA, even_length);
+  for (const input of all_strings(['a', 'b'], 7)) {
+    const in1 = accepts(abb_NFA, input), in2 = accepts(even_length, input);
+    expect(accepts(intersection, input)).toBe(in1 && in2);
+    expect(accepts(difference, input)).toBe(in1 && !in2);
+    expect(accepts(symmetric_difference, input)).toBe(in1 !== in2);
+  }
+});
+
+test('complement over a declared alphabet', () => {
+  const complement = graph_ops.complement(structuredClone(abb_NFA), 'c');
+  for (const input of all_strings(['a', 'b', 'c'], 5)) {
+    expect(accepts(complement, input)).toBe(!accepts(abb_NFA, input));
+  }
+});
+
+test('removing ε-transitions keeps the language and the states', () => {
+  // a*b* with an ε-transition in between
+  const NFA = build_graph(['q0', 'q1'], ['q1'], [
+    ['q0', 'q0', 'a'], ['q0', 'q1', consts.EMPTY_SYMBOL], ['q1', 'q1', 'b']
+  ]);
+  const epsilon_free = graph_ops.remove_epsilon(NFA);
+  expect(Object.keys(epsilon_free)).toEqual(['q0', 'q1']);
+  expect(epsilon_free['q0'].is_final).toBe(true);
+  for (const vertex of Object.values(epsilon_free)) {
+    expect(vertex.out.every(edge => edge.transition !== consts.EMPTY_SYMBOL)).toBe(true);
+  }
+  for (const input of all_strings(['a', 'b'], 6)) {
+    expect(accepts(epsilon_free, input)).toBe(accepts(NFA, input));
+  }
+});
+
+test('reverse accepts exactly the reversed strings', () => {
+  const reversed = graph_ops.reverse(abb_NFA);
+  for (const input of all_strings(['a', 'b'], 7)) {
+    expect(accepts(reversed, [...input].reverse().join(''))).toBe(accepts(abb_NFA, input));
+  }
+});
+
+test('Mealy and Moore conversions produce the same outputs', () => {
+  // outputs 1 whenever the symbol repeats the previous one, so q1 is entered with both outputs
+  const Mealy = build_graph(['q0', 'q1', 'q2'], [], []);
+  Mealy.q0.out.push(mealy_edge('q0', 'q1', 'a', '0'), mealy_edge('q0', 'q2', 'b', '0'));
+  Mealy.q1.out.push(mealy_edge('q1', 'q1', 'a', '1'), mealy_edge('q1', 'q2', 'b', '0'));
+  Mealy.q2.out.push(mealy_edge('q2', 'q1', 'a', '0'), mealy_edge('q2', 'q2', 'b', '1'));
+  const Moore = graph_ops.Mealy_to_Moore(Mealy);
+  expect(Object.keys(Moore).sort()).toEqual(['q0', 'q1_0', 'q1_1', 'q2_0', 'q2_1']);
+  const back = graph_ops.Moore_to_Mealy(Moore);
+  const output = (graph, type, input) => compute.run_input(graph, type, input).next().value;
+  for (const input of all_strings(['a', 'b'], 5)) {
+    const expected = output(Mealy, 'Mealy', input);
+    expect(output(Moore, 'Moore', input)).toBe(Moore.q0.moore_output + expected);
+    expect(output(back, 'Mealy', input)).toBe(expected);
+  }
+});
+
+test('minimizing a Mealy machine keeps its outputs', () => {
+  // outputs the parity of the a's read so far, with the even and odd states each duplicated
+  const Mealy = build_graph(['e0', 'o0', 'e1', 'o1'], [], []);
+  Mealy.e0.out.push(mealy_edge('e0', 'o0', 'a', '1'), mealy_edge('e0', 'e1', 'b', '0'));
+  Mealy.o0.out.push(mealy_edge('o0', 'e1', 'a', '0'), mealy_edge('o0', 'o1', 'b', '1'));
+  Mealy.e1.out.push(mealy_edge('e1', 'o1', 'a', '1'), mealy_edge('e1', 'e0', 'b', '0'));
+  Mealy.o1.out.push(mealy_edge('o1', 'e0', 'a', '0'), mealy_edge('o1', 'o0', 'b', '1'));
+  const minimal = graph_ops.minimize_Mealy(Mealy);
+  expect(Object.keys(minimal).length).toBe(2);
+  expect(compute.find_output_counterexample(Mealy, minimal, 'Mealy')).toBeNull();
+
+  Mealy.o1.out[1].mealy_output = '0';  // now abb outputs 110 instead of 111
+  expect(compute.find_output_counterexample(Mealy, minimal, 'Mealy'))
+    .toEqual({ input: 'abb', output1: '110', output2: '111' });
+  Mealy.o1.out.pop();  // and gets stuck on it
+  expect(compute.find_output_counterexample(Mealy, minimal, 'Mealy'))
+    .toEqual({ input: 'abb', output1: null, output2: '111' });
+});
+
+test('two-way automaton edges always read a symbol', () => {
+  const select = document.getElementById('select_machine');
+  select.innerHTML = '<option value="TwoWay">TwoWay</option>';
+  const graph = build_graph(['q0'], [], []);
+  const edge = graph_components.make_edge('q0', 'q0');
+  expect(edge.transition).toBe(consts.DEFAULT_TWO_WAY_TRANSITION);
+  graph.q0.out.push(edge);
+  const alert = window.alert;
+  window.alert = () => {};
+  graph_ops.rename_edge(graph, edge, consts.EMPTY_SYMBOL, '', '', consts.LEFT, '');  // refused before anything changes
+  window.alert = alert;
+  expect(graph.q0.out).toEqual([edge]);
+  expect(edge.transition).toBe(consts.DEFAULT_TWO_WAY_TRANSITION);
+  select.innerHTML = '<option value="NFA">NFA</option>';
+});
@@ -0,0 +1,14 @@
+/** @module helpers */
+
+/** all strings over the alphabet up to the given length */
+export function all_strings(alphabet, max_len) {
+  let layer = [''], result = [''];
+  for (let len = 1; len <= max_len; len++) {
+    layer = layer.flatMap(str => alphabet.map(c => str + c));
+    result = result.concat(layer);
+  }
+  return result;
+}
+
+/** @constant {string} regex_NFA_str - permalink of an NFA for (c?a*d|bb*c?)* */
+export const regex_NFA_str = 'NFAq0:393:194:40:3;q1:393:665:40:0;q2:395:439:40:2;0:2:b%CE%B5%CE%B5R:5:-10:-1:-30~0:0:d%CE%B5%CE%B5R:5:10:23:7~0:1:a%CE%B5%CE%B5R:5:-34:-18:-26~0:1:c%CE%B5%CE%B5R:5:-54:-7:-24~1:1:a%CE%B5%CE%B5R:2:12:20:4~1:0:d%CE%B5%CE%B5R:5:-44:24:12~2:0:c%CE%B5%CE%B5R:5:-12:30:0~2:0:d%CE%B5%CE%B5R:5:0:-31:0~2:1:a%CE%B5%CE%B5R:5:0:-2:-24~2:2:b%CE%B5%CE%B5R:3:15:23:6~';
@@ -0,0 +1,55 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import * as hist from '../scripts/history.js';
+import * as consts from '../scripts/consts.js';
+
+// jsdom does not ship structuredClone, and graphs are plain json anyway
+globalThis.structuredClone ??= obj => JSON.parse(JSON.stringify(obj));
+
+beforeEach(() => {
+  localStorage.clear();
+  hist.set_history_keys('PDA');
+});
+
+test('settings are undone and redone along with the graph', () => {
+  const empty_stack = { ...consts.DEFAULT_SETTINGS, acceptance: 'empty' };
+  hist.push_history({ q0: { name: 'q0', out: [], highlighted: false } });
+  hist.save_settings(empty_stack);
+  hist.push_history({});  // the settings carry over to the next graph
+  expect(hist.get_settings()).toEqual(empty_stack);
+  hist.undo();
+  expect(hist.get_settings()).toEqual(empty_stack);
+  expect(hist.undo()).toEqual({ q0: { name: 'q0', out: [], highlighted: false } });
+  expect(hist.get_settings()).toEqual(consts.DEFAULT_SETTINGS);
+  hist.redo();
+  expect(hist.get_settings()).toEqual(empty_stack);
+});
+
+test('the test suite belongs to the graph it was written for', () => {
+  hist.push_history({});
+  hist.save_test_suite('a, reject');
+  hist.save_test_suite('a, accept');  // typing replaces the suite instead of adding entries
+  hist.push_history({ q0: { name: 'q0', out: [], highlighted: false } });
+  expect(hist.get_test_suite()).toBe('a, accept');
+  hist.save_test_suite('a, accept\nb, reject');
+  hist.undo();
+  expect(hist.get_test_suite()).toBe('a, accept');
+  hist.undo();
+  expect(hist.get_test_suite()).toBe('');
+  hist.redo();
+  hist.redo();
+  expect(hist.get_test_suite()).toBe('a, accept\nb, reject');
+});
+
+test('history saved as bare graphs still loads', () => {
+  // even with states named like the fields of an entry
+  const graph = { graph: { name: 'graph', out: [] }, settings: { name: 'settings', out: [] } };
+  localStorage.setItem(consts.HIST_KEYS.PDA, JSON.stringify([{}, graph]));
+  localStorage.setItem(consts.HIST_PTR_KEYS.PDA, 1);
+  localStorage.setItem(consts.HIST_TIP_KEYS.PDA, 1);
+  expect(hist.retrieve_latest_graph()).toEqual(graph);
+  expect(hist.get_settings()).toEqual(consts.DEFAULT_SETTINGS);
+  expect(hist.get_test_suite()).toBe('');
+});
@@ -0,0 +1,24 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import * as index from '../scripts/index.js';
+import * as graph_components from '../scripts/graph_components.js';
+import * as compute from '../scripts/compute.js';
+
+document.body.innerHTML = `
+  <select id="select_machine"><option value="Mealy">Mealy</option></select>
+  <div class="machine_input"><input class="machine_input_text"><span class="machine_output"></span></div>`;
+
+test('a Mealy machine without a transition for the next symbol shows what it output so far', () => {
+  // the two a-edges make up for the missing b-edge when counting transitions
+  const graph = { q0: graph_components.make_vertex('q0', 0, 0, 40, true, false) };
+  const mealy_edge = output => graph_components.make_edge('q0', 'q0', 'a',
+    undefined, undefined, undefined, undefined, undefined, undefined, undefined, output);
+  graph.q0.out.push(mealy_edge('0'), mealy_edge('1'));
+  const input_div = document.querySelector('.machine_input');
+  for (const [input, text] of [['aab', 'Output: 11'], ['b', 'Output: ε']]) {
+    index.display_result(input_div, compute.run_input(graph, 'Mealy', input).next().value);
+    expect(input_div.querySelector('.machine_output').textContent).toBe(text);
+  }
+});
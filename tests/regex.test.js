@@ -0,0 +1,59 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import * as regex from '../scripts/regex.js';
+import * as consts from '../scripts/consts.js';
+import * as permalink from '../scripts/permalink.js';
+import * as compute from '../scripts/compute.js';
+import * as graph_components from '../scripts/graph_components.js';
+import { all_strings, regex_NFA_str } from './helpers.js';
+
+// jsdom does not ship structuredClone, and graphs are plain json anyway
+globalThis.structuredClone ??= obj => JSON.parse(JSON.stringify(obj));
+
+/** translate a regex in the project's notation to a javascript one */
+function to_js_regex(regex_str) {
+  const js_str = regex_str.replaceAll(consts.UNION, '|').replaceAll(consts.CONCAT, '')
+    .replaceAll(consts.EMPTY_SYMBOL, '(?:)').replaceAll(consts.EMPTY_SET, '[^\\s\\S]');
+  return new RegExp(`^(?:${js_str})$`);
+}
+
+test('state elimination agrees with the automaton in any order', () => {
+  const [type, graph] = permalink.deserialize(regex_NFA_str);
+  for (const order of [[], ['q0', 'q1', 'q2'], ['q2', 'q1', 'q0']]) {
+    const matcher = to_js_regex(regex.FA_to_regex(graph, order));
+    for (const input of all_strings(['a', 'b', 'c', 'd'], 5)) {
+      expect(matcher.test(input)).toBe(compute.run_input(graph, type, input).next().value);
+    }
+  }
+});
+
+test('state elimination of an automaton without accept states', () => {
+  const [, graph] = permalink.deserialize(regex_NFA_str);
+  for (const vertex of Object.values(graph)) {
+    vertex.is_final = false;
+  }
+  expect(regex.FA_to_regex(graph)).toBe(consts.EMPTY_SET);
+});
+
+test('the regex from state elimination parses back to the same language', () => {
+  const [type, graph] = permalink.deserialize(regex_NFA_str);
+  // ε ∪ a, which needs ε in the regex, and a copy accepting nothing, which needs ∅
+  const optional_a = {
+    q0: graph_components.make_vertex('q0', 0, 0, 40, true, false),
+    q1: graph_components.make_vertex('q1', 100, 0, 40, false, true)
+  };
+  const edge = read => graph_components.make_edge('q0', 'q1', read, 0.5, 0, 0, 0, 'ε', 'ε', 'R', '0');
+  optional_a.q0.out.push(edge(consts.EMPTY_SYMBOL), edge('a'));
+  const nothing = structuredClone(optional_a);
+  nothing.q1.is_final = false;
+  for (const NFA of [graph, optional_a, nothing]) {
+    const regex_str = regex.FA_to_regex(NFA);
+    const back = regex.process_string(regex_str);
+    for (const input of all_strings(['a', 'b', 'c', 'd'], 4)) {
+      expect([regex_str, input, compute.run_input(back, type, input).next().value])
+        .toEqual([regex_str, input, compute.run_input(NFA, type, input).next().value]);
+    }
+  }
+});
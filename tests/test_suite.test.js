@@ -0,0 +1,23 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import * as test_suite from '../scripts/test_suite.js';
+import * as permalink from '../scripts/permalink.js';
+import { regex_NFA_str } from './helpers.js';
+
+test('parse and stringify round trip', () => {
+  const text = 'ε, accept\n# a comment\n\nbbc, accept\na, reject';
+  const test_cases = test_suite.parse(text);
+  expect(test_cases).toEqual([
+    { input: '', expected: 'accept' }, { input: 'bbc', expected: 'accept' }, { input: 'a', expected: 'reject' }
+  ]);
+  expect(test_suite.parse(test_suite.stringify(test_cases))).toEqual(test_cases);
+});
+
+test('run reports passes and failures', () => {
+  const [type, graph] = permalink.deserialize(regex_NFA_str);
+  const results = test_suite.run(graph, type, test_suite.parse('cad, Accept\nab, accept\nda, reject'));
+  expect(results.map(({ passed }) => passed)).toEqual([true, false, true]);
+  expect(results[1].actual).toBe('reject');
+});